@@ -55,6 +55,16 @@ const start = async () => {
         return main.manualConfig(options.customLogic.createConfig);
       }
 
+      // Pack the Highcharts cache into a bundle file
+      if (options.customLogic.exportCache) {
+        return main.exportCache(options, options.customLogic.exportCache);
+      }
+
+      // Install the Highcharts cache from a bundle file
+      if (options.customLogic.importCache) {
+        return main.importCache(options, options.customLogic.importCache);
+      }
+
       // Start server
       if (options.server.enable) {
         // Init the export mechanism for the server configuration
@@ -17,10 +17,19 @@ import path from 'path';
 
 import puppeteer from 'puppeteer';
 
-import { getCachePath } from './cache.js';
+import { getCache } from './cache.js';
 import { getOptions } from './config.js';
 import { setupHighcharts } from './highcharts.js';
+import {
+  getInstance,
+  getState,
+  isDefaultInstance,
+  runInInstance
+} from './instance.js';
+import { addInterval } from './intervals.js';
 import { log, logWithStack } from './logger.js';
+import { recordBrowserRestart } from './metrics.js';
+import { setRequestInterception } from './network.js';
 import { __dirname } from './utils.js';
 
 import ExportError from './errors/ExportError.js';
@@ -28,10 +37,249 @@ import ExportError from './errors/ExportError.js';
 // Get the template for the page
 const template = readFileSync(__dirname + '/templates/template.html', 'utf8');
 
-let browser;
+// The time to wait for an externally managed browser to respond to a check
+const healthCheckTimeout = 5000;
 
 /**
- * Retrieves the existing Puppeteer browser instance.
+ * Retrieves the state of the browsers in the current instance: the browser
+ * shards (every one with its browser, the number of its pages and restarts),
+ * the options of launching them or connecting to an externally managed one,
+ * the flag of closing them, and the functions called after a restart.
+ *
+ * @returns {Object} The state of the browsers.
+ */
+const getBrowserState = () =>
+  getState('browser', () => ({
+    shards: [],
+    launchOptions: undefined,
+    connectOptions: undefined,
+    closing: false,
+    restartListeners: []
+  }));
+
+/**
+ * Launches the browser of a shard, or connects to the externally managed one,
+ * retrying until reaching the maximum number of attempts. Every browser after
+ * the first one uses a separate subdirectory of the profile directory. When
+ * the browser disconnects unexpectedly, it is launched (or connected to)
+ * again.
+ *
+ * @param {Object} shard - The shard to launch the browser of.
+ *
+ * @throws {ExportError} Throws an ExportError if max retries to open a browser
+ * instance are reached.
+ */
+const launch = async (shard) => {
+  const state = getBrowserState();
+  const instance = getInstance();
+
+  const launchOptions = {
+    ...state.launchOptions,
+    userDataDir: shard.index
+      ? path.join(state.launchOptions.userDataDir, `browser-${shard.index}`)
+      : state.launchOptions.userDataDir
+  };
+
+  const maxTries = 25;
+  let tryCount = 0;
+
+  const open = async () => {
+    try {
+      log(
+        3,
+        `[browser] Attempting to get a browser instance (try ${++tryCount}).`
+      );
+      const browser = (shard.browser = state.connectOptions
+        ? await puppeteer.connect(state.connectOptions)
+        : await puppeteer.launch(launchOptions));
+      shard.pages = 0;
+
+      // Relaunch the browser if it crashes or gets killed
+      browser.once('disconnected', () =>
+        runInInstance(instance, relaunch, shard, browser)
+      );
+    } catch (error) {
+      // This isn't a full error yet as puppeteer sometimes takes time to
+      // initialize properly.
+      logWithStack(
+        2,
+        error,
+        `[browser] Failed to launch a browser instance - retrying (attempt ${tryCount}/${maxTries}).`
+      );
+
+      // Retry to launch browser until reaching max attempts
+      if (tryCount < 25 && !state.closing) {
+        log(
+          3,
+          `[browser] Retry to open a browser (attempt ${tryCount}/${maxTries}).`
+        );
+        await new Promise((response) => setTimeout(response, 4000));
+        await open();
+      } else {
+        //... now it's an error, which is caught by the caller
+        throw error;
+      }
+    }
+  };
+
+  try {
+    await open();
+  } catch (error) {
+    throw new ExportError(
+      '[browser] Maximum retries to open a browser instance reached.'
+    ).setError(error);
+  }
+};
+
+/**
+ * Retrieves the id of the target of a page, which stays the same when
+ * connecting to the browser again.
+ *
+ * @param {Object} page - The Puppeteer Page object.
+ *
+ * @returns {Promise<string>} A Promise resolving to the id of the target.
+ */
+const getTargetId = async (page) => {
+  const session = await page.createCDPSession();
+  try {
+    const { targetInfo } = await session.send('Target.getTargetInfo');
+    return targetInfo.targetId;
+  } finally {
+    await session.detach();
+  }
+};
+
+/**
+ * Closes the pages left open in an externally managed browser by the broken
+ * connection to it. The pool does not close the pages of a disconnected
+ * browser, so they are closed once the browser is connected to again.
+ *
+ * @param {Object} shard - The shard of the browser connected to again.
+ * @param {Array<string>} targetIds - The ids of the targets of the pages.
+ */
+const closeOrphanedPages = async (shard, targetIds) => {
+  if (!targetIds.length) {
+    return;
+  }
+
+  try {
+    const session = await shard.browser.target().createCDPSession();
+    try {
+      for (const targetId of targetIds) {
+        // The page may be already gone, e.g. when the browser restarted
+        await session
+          .send('Target.closeTarget', { targetId })
+          .catch(() => false);
+      }
+    } finally {
+      await session.detach();
+    }
+
+    log(
+      3,
+      `[browser] Closed ${targetIds.length} pages left in the browser ${shard.index + 1}.`
+    );
+  } catch (error) {
+    logWithStack(
+      2,
+      error,
+      `[browser] Could not close the pages left in the browser ${shard.index + 1}.`
+    );
+  }
+};
+
+/**
+ * Launches the browser of a shard again after it disconnected, e.g. because
+ * it crashed or was killed by the OOM killer, unless the browsers are being
+ * closed. The workers with pages of the disconnected browser fail their
+ * validation and are re-created by the pool, which is notified through
+ * the restart listeners once the browser is launched again.
+ *
+ * @param {Object} shard - The shard of the disconnected browser.
+ * @param {Object} browser - The disconnected browser.
+ */
+const relaunch = async (shard, browser) => {
+  if (shard.browser !== browser || getBrowserState().closing) {
+    return;
+  }
+
+  shard.browser = undefined;
+  shard.pages = 0;
+
+  // The pages of an externally managed browser outlive the connection
+  const orphanedTargets = [...shard.targetIds];
+  shard.targetIds.clear();
+
+  log(
+    1,
+    `[browser] The browser ${shard.index + 1} disconnected, ${
+      getBrowserState().connectOptions ? 'connecting to' : 'launching'
+    } it again.`
+  );
+
+  try {
+    await launch(shard);
+    shard.restarts++;
+    recordBrowserRestart();
+    shard.restartedAt = new Date();
+    log(
+      2,
+      `[browser] The browser ${shard.index + 1} is launched again (restart ${shard.restarts}).`
+    );
+
+    await closeOrphanedPages(shard, orphanedTargets);
+
+    for (const listener of [...getBrowserState().restartListeners]) {
+      await listener(shard.index);
+    }
+  } catch (error) {
+    logWithStack(
+      1,
+      error,
+      `[browser] Could not launch the browser ${shard.index + 1} again.`
+    );
+  }
+};
+
+/**
+ * Checks if the externally managed browsers still respond, and disconnects
+ * from the ones that do not, so they are connected to again. A broken
+ * connection to a remote browser is not always noticed otherwise.
+ */
+const checkRemoteBrowsers = async () => {
+  for (const shard of getBrowserState().shards) {
+    const { browser } = shard;
+    if (!browser?.connected) {
+      continue;
+    }
+
+    let timeout;
+    try {
+      await Promise.race([
+        browser.version(),
+        new Promise((_resolve, reject) => {
+          timeout = setTimeout(
+            () => reject(new ExportError('The browser did not respond.')),
+            healthCheckTimeout
+          );
+        })
+      ]);
+      shard.checkedAt = new Date();
+    } catch (error) {
+      logWithStack(
+        1,
+        error,
+        `[browser] The remote browser ${shard.index + 1} failed the health check, connecting to it again.`
+      );
+      await browser.disconnect();
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+};
+
+/**
+ * Retrieves one of the existing and connected Puppeteer browser instances.
  *
  * @returns {Promise<object>} A Promise resolving to the Puppeteer browser
  * instance.
@@ -40,33 +288,48 @@ let browser;
  * created.
  */
 export function get() {
-  if (!browser) {
+  const shard = getBrowserState().shards.find(
+    ({ browser }) => browser?.connected
+  );
+  if (!shard) {
     throw new ExportError('[browser] No valid browser has been created.');
   }
-  return browser;
+  return shard.browser;
 }
 
 /**
- * Creates a Puppeteer browser instance with the specified arguments.
+ * Creates the Puppeteer browser instances with the specified arguments.
+ * The pages of workers are spread across the browsers, so a crash of one
+ * of them affects only its own pages. When the browserWSEndpoint
+ * or browserURL option is set, a single externally managed browser is
+ * connected to instead, and checked periodically.
  *
  * @param {Array} puppeteerArgs - Additional arguments for Puppeteer launch.
+ * @param {number} [count=1] - The number of browser instances to create.
  *
- * @returns {Promise<object>} A Promise resolving to the Puppeteer browser
- * instance.
+ * @returns {Promise<object>} A Promise resolving to the first Puppeteer
+ * browser instance.
  *
  * @throws {ExportError} Throws an ExportError if max retries to open a browser
  * instance are reached, or if no browser instance is found after retries.
  */
-export async function create(puppeteerArgs) {
+export async function create(puppeteerArgs, count = 1) {
+  const state = getBrowserState();
+
   // Get debug and other options
   const { puppeteer: puppeteerOptions, debug, other } = getOptions();
 
+  // Every instance needs a separate profile directory of its browser
+  const userDataDir = puppeteerOptions.tempDir || './tmp/';
+
   // Get the debug options
   const { enable: enabledDebug, ...debugOptions } = debug;
 
-  const launchOptions = {
+  const launchOptions = (state.launchOptions = {
     headless: other.browserShellMode ? 'shell' : true,
-    userDataDir: puppeteerOptions.tempDir || './tmp/',
+    userDataDir: isDefaultInstance()
+      ? userDataDir
+      : path.join(userDataDir, getInstance().id),
     args: puppeteerArgs,
     handleSIGINT: false,
     handleSIGTERM: false,
@@ -74,46 +337,49 @@ export async function create(puppeteerArgs) {
     waitForInitialPage: false,
     defaultViewport: null,
     ...(enabledDebug && debugOptions)
-  };
+  });
+  state.closing = false;
+
+  // Connect to an externally managed browser, if set
+  const { browserWSEndpoint, browserURL, healthCheckInterval } =
+    puppeteerOptions;
+  state.connectOptions =
+    browserWSEndpoint || browserURL
+      ? {
+          ...(browserWSEndpoint ? { browserWSEndpoint } : { browserURL }),
+          defaultViewport: null
+        }
+      : undefined;
+
+  // Add the missing shards, an external browser is shared by all workers
+  const shardsCount = state.connectOptions
+    ? 1
+    : Math.max(1, parseInt(count) || 1);
+  for (let index = state.shards.length; index < shardsCount; index++) {
+    state.shards.push({
+      index,
+      browser: undefined,
+      pages: 0,
+      // The ids of the targets of the pages in an externally managed browser
+      targetIds: new Set(),
+      restarts: 0,
+      restartedAt: null
+    });
+  }
 
-  // Create a browser
-  if (!browser) {
-    const maxTries = 25;
-    let tryCount = 0;
+  // Create the browsers
+  for (const shard of state.shards) {
+    if (!shard.browser) {
+      await launch(shard);
 
-    const open = async () => {
-      try {
+      // External browser inform
+      if (state.connectOptions) {
         log(
           3,
-          `[browser] Attempting to get a browser instance (try ${++tryCount}).`
-        );
-        browser = await puppeteer.launch(launchOptions);
-      } catch (error) {
-        // This isn't a full error yet as puppeteer sometimes takes time to
-        // initialize properly.
-        logWithStack(
-          2,
-          error,
-          `[browser] Failed to launch a browser instance - retrying (attempt ${tryCount}/${maxTries}).`
+          `[browser] Connected to the browser at ${browserWSEndpoint ? 'the WebSocket endpoint' : browserURL}.`
         );
-
-        // Retry to launch browser until reaching max attempts
-        if (tryCount < 25) {
-          log(
-            3,
-            `[browser] Retry to open a browser (attempt ${tryCount}/${maxTries}).`
-          );
-          await new Promise((response) => setTimeout(response, 4000));
-          await open();
-        } else {
-          //... now it's an error, which is caught by the caller
-          throw error;
-        }
+        continue;
       }
-    };
-
-    try {
-      await open();
 
       // Shell mode inform
       if (launchOptions.headless === 'shell') {
@@ -124,57 +390,137 @@ export async function create(puppeteerArgs) {
       if (enabledDebug) {
         log(3, `[browser] Launched browser in debug mode.`);
       }
-    } catch (error) {
-      throw new ExportError(
-        '[browser] Maximum retries to open a browser instance reached.'
-      ).setError(error);
     }
+  }
 
-    if (!browser) {
-      throw new ExportError('[browser] Cannot find a browser to open.');
-    }
+  if (!state.shards[0].browser) {
+    throw new ExportError('[browser] Cannot find a browser to open.');
+  }
+
+  // Check the external browser periodically
+  if (state.connectOptions && healthCheckInterval > 0 && !state.healthCheck) {
+    state.healthCheck = setInterval(checkRemoteBrowsers, healthCheckInterval);
+    addInterval(state.healthCheck);
   }
 
   // Return a browser promise
-  return browser;
+  return state.shards[0].browser;
 }
 
 /**
- * Closes the Puppeteer browser instance if it is connected.
+ * Closes all Puppeteer browser instances that are connected, and forgets
+ * them, so they can be created again. An externally managed browser is only
+ * disconnected from, and keeps running.
  *
- * @returns {Promise<boolean>} A Promise resolving to true after the browser
- * is closed.
+ * @returns {Promise<boolean>} A Promise resolving to true after the browsers
+ * are closed.
  */
 export async function close() {
-  // Close the browser when connnected
-  if (browser?.connected) {
-    await browser.close();
+  const state = getBrowserState();
+  state.closing = true;
+
+  // Stop checking the external browser
+  clearInterval(state.healthCheck);
+  state.healthCheck = undefined;
+
+  // Close the browsers when connnected
+  for (const { browser } of state.shards) {
+    if (browser?.connected) {
+      await (state.connectOptions ? browser.disconnect() : browser.close());
+    }
   }
+  state.shards = [];
   log(4, '[browser] Closed the browser.');
 }
 
 /**
- * Creates a new Puppeteer Page within an existing browser instance.
+ * Registers a function called after a browser instance is launched again
+ * following a crash, with the index of the browser.
  *
- * If the browser instance is not available, returns false.
+ * @param {Function} listener - The function to call, may be asynchronous.
+ *
+ * @returns {Function} The function that unregisters the listener.
+ */
+export const addRestartListener = (listener) => {
+  const { restartListeners } = getBrowserState();
+  restartListeners.push(listener);
+  return () => {
+    const index = restartListeners.indexOf(listener);
+    index > -1 && restartListeners.splice(index, 1);
+  };
+};
+
+/**
+ * Retrieves the information about the browser instances in JSON format,
+ * every one with its connection status, the number of its pages, the number
+ * and time of the last of its restarts, and, for an externally managed
+ * browser, the time of the last successful health check.
+ *
+ * @returns {Array<Object>} The information about the browsers.
+ */
+export const getBrowsersInfo = () => {
+  const { shards, connectOptions } = getBrowserState();
+  return shards.map(({ browser, pages, restarts, restartedAt, checkedAt }) => ({
+    connected: !!browser?.connected,
+    remote: !!connectOptions,
+    pages,
+    restarts,
+    restartedAt,
+    ...(connectOptions && { checkedAt: checkedAt || null })
+  }));
+};
+
+/**
+ * Creates a new Puppeteer Page within an existing browser instance, the one
+ * with the fewest pages among the connected browsers.
+ *
+ * If no browser instance is available, returns false.
  *
  * The function creates a new page, disables caching, sets content using
  * setPageContent(), and returns the created Puppeteer Page.
  *
- * @returns {(boolean|object)} Returns false if the browser instance is not
+ * @returns {(boolean|object)} Returns false if no browser instance is
  * available, or a Puppeteer Page object representing the newly created page.
  */
 export async function newPage() {
-  if (!browser) {
+  const shard = getBrowserState()
+    .shards.filter(({ browser }) => browser?.connected)
+    .reduce(
+      (least, shard) => (!least || shard.pages < least.pages ? shard : least),
+      undefined
+    );
+  if (!shard) {
     return false;
   }
 
-  // Create a page
+  // Create a page and count it until it is closed
+  const { browser } = shard;
   const page = await browser.newPage();
+  shard.pages++;
+
+  let targetId;
+  page.once('close', () => {
+    if (shard.browser === browser) {
+      shard.pages--;
+
+      // The page is closed for good only if the browser is still connected
+      targetId && browser.connected && shard.targetIds.delete(targetId);
+    }
+  });
+
+  // Remember the target of a page in an externally managed browser, which
+  // keeps the page open when the connection to it breaks
+  if (getBrowserState().connectOptions) {
+    targetId = await getTargetId(page);
+    shard.targetIds.add(targetId);
+  }
 
   // Disable cache
   await page.setCacheEnabled(false);
 
+  // Check all requests of the page against the network options
+  await setRequestInterception(page);
+
   // Set the content
   await setPageContent(page);
 
@@ -192,10 +538,12 @@ export async function newPage() {
  * to be performed. If true, navigates to 'about:blank' and resets content
  * and scripts. If false, clears the body content by setting a predefined HTML
  * structure.
+ * @param {Object} [versionCache] - The cache of the Highcharts version to load
+ * on a hard reset. Defaults to the main version.
  *
  * @throws {Error} Logs thrown error if clearing the page content fails.
  */
-export async function clearPage(page, hardReset = false) {
+export async function clearPage(page, hardReset = false, versionCache) {
   try {
     if (page && !page.isClosed()) {
       if (hardReset) {
@@ -203,7 +551,7 @@ export async function clearPage(page, hardReset = false) {
         await page.goto('about:blank', { waitUntil: 'domcontentloaded' });
 
         // Set the content and and scripts again
-        await setPageContent(page);
+        await setPageContent(page, versionCache);
       } else {
         // Clear body content
         await page.evaluate(() => {
@@ -390,12 +738,14 @@ export async function clearPageResources(page, injectedResources) {
  *
  * @param {Object} page - The Puppeteer Page object for which the content
  * is being set.
+ * @param {Object} [versionCache] - The cache of the Highcharts version
+ * to load. Defaults to the main version.
  */
-async function setPageContent(page) {
+async function setPageContent(page, versionCache = getCache()) {
   await page.setContent(template, { waitUntil: 'domcontentloaded' });
 
   // Add all registered Higcharts scripts, quite demanding
-  await page.addScriptTag({ path: `${getCachePath()}/sources.js` });
+  await page.addScriptTag({ path: versionCache.sourcePath });
 
   // Set the initial animObject
   await page.evaluate(setupHighcharts);
@@ -444,6 +794,8 @@ export default {
   get,
   create,
   close,
+  addRestartListener,
+  getBrowsersInfo,
   newPage,
   clearPage,
   addPageResources,
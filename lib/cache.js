@@ -24,17 +24,35 @@ import { HttpsProxyAgent } from 'https-proxy-agent';
 import { getOptions } from './config.js';
 import { envs } from './envs.js';
 import { fetch } from './fetch.js';
+import { getState } from './instance.js';
 import { log } from './logger.js';
 import { __dirname, __highchartsDir } from './utils.js';
 
 import ExportError from './errors/ExportError.js';
 
-const cache = {
-  cdnURL: 'https://code.highcharts.com/',
-  activeManifest: {},
-  sources: '',
-  hcVersion: ''
-};
+/**
+ * Retrieves the state of the cache in the current instance: the cache of
+ * the main Highcharts version and the caches of the additional versions.
+ *
+ * @returns {Object} The state of the cache.
+ */
+const getCacheState = () =>
+  getState('cache', () => ({
+    cache: {
+      cdnURL: 'https://code.highcharts.com/',
+      activeManifest: {},
+      sources: '',
+      hcVersion: '',
+      sourcePath: ''
+    },
+
+    // The additional Highcharts versions kept in the cache, keyed by
+    // the version that can be requested
+    versionCaches: new Map()
+  }));
+
+// The allowed format of the Highcharts version
+const versionRegex = /^(latest|\d+(\.\d+){0,2})$/;
 
 /**
  * Extracts and caches the Highcharts version from the sources string.
@@ -69,26 +87,31 @@ export const extractModuleName = (scriptPath) => {
  * @param {object} config - Highcharts-related configuration object.
  * @param {object} fetchedModules - An object that contains mapped names of
  * fetched Highcharts modules to use.
+ * @param {string} [manifestPath] - The path to the manifest file. Defaults
+ * to the manifest.json in the cachePath directory.
+ * @param {object} [versionCache=cache] - The cache of a version to update.
+ * Defaults to the cache of the main version.
  *
  * @throws {ExportError} Throws an ExportError if an error occurs while writing
  * the cache manifest.
  */
-export const saveConfigToManifest = async (config, fetchedModules) => {
+export const saveConfigToManifest = async (
+  config,
+  fetchedModules,
+  manifestPath = join(__dirname, config.cachePath, 'manifest.json'),
+  versionCache = getCache()
+) => {
   const newManifest = {
     version: config.version,
     modules: fetchedModules || {}
   };
 
   // Update cache object with the current modules
-  cache.activeManifest = newManifest;
+  versionCache.activeManifest = newManifest;
 
   log(3, '[cache] Writing a new manifest.');
   try {
-    writeFileSync(
-      join(__dirname, config.cachePath, 'manifest.json'),
-      JSON.stringify(newManifest),
-      'utf8'
-    );
+    writeFileSync(manifestPath, JSON.stringify(newManifest), 'utf8');
   } catch (error) {
     throw new ExportError('[cache] Error writing the cache manifest.').setError(
       error
@@ -208,7 +231,7 @@ export const fetchScripts = async (
 ) => {
   const version = highchartsOptions.version;
   const hcVersion = version === 'latest' || !version ? '' : `${version}/`;
-  const cdnURL = highchartsOptions.cdnURL || cache.cdnURL;
+  const cdnURL = highchartsOptions.cdnURL || getCache().cdnURL;
 
   log(
     3,
@@ -288,7 +311,11 @@ export const fetchScripts = async (
  *
  * @param {Object} highchartsOptions - Object containing all options from
  * the highcharts section.
+ * @param {object} proxyOptions - Options for the proxy agent to use for
+ * a request.
  * @param {string} sourcePath - The path to the source file in the cache.
+ * @param {object} [versionCache=cache] - The cache of a version to update.
+ * Defaults to the cache of the main version.
  *
  * @returns {Promise<object>} A Promise resolving to an object representing
  * the fetched modules.
@@ -299,23 +326,24 @@ export const fetchScripts = async (
 export const updateCache = async (
   highchartsOptions,
   proxyOptions,
-  sourcePath
+  sourcePath,
+  versionCache = getCache()
 ) => {
   try {
     const fetchedModules = {};
 
     // Get sources
-    cache.sources = await fetchScripts(
+    versionCache.sources = await fetchScripts(
       highchartsOptions,
       proxyOptions,
       fetchedModules
     );
 
     // Get sources version
-    cache.hcVersion = extractVersion(cache);
+    versionCache.hcVersion = extractVersion(versionCache);
 
     // Save the fetched modules into caches' source JSON
-    writeFileSync(sourcePath, cache.sources);
+    writeFileSync(sourcePath, versionCache.sources);
 
     return fetchedModules;
   } catch (error) {
@@ -344,10 +372,16 @@ export const updateVersion = async (newVersion) => {
 };
 
 /**
- * Checks the cache for Highcharts dependencies, updates the cache if needed,
+ * Checks the cache of a single Highcharts version, updates it if needed,
  * and loads the sources.
  *
- * @param {Object} options - Object containing all options.
+ * @param {Object} highcharts - Object containing all options from
+ * the highcharts section, with the version to check.
+ * @param {object} proxyOptions - Options for the proxy agent to use for
+ * a request.
+ * @param {string} cachePath - The path to the directory of the version's
+ * cache.
+ * @param {object} versionCache - The cache of a version to update.
  *
  * @returns {Promise<void>} A Promise that resolves once the cache is checked
  * and updated.
@@ -355,23 +389,33 @@ export const updateVersion = async (newVersion) => {
  * @throws {ExportError} Throws an ExportError if there is an issue updating
  * or reading the cache.
  */
-export const checkAndUpdateCache = async (options) => {
-  const { highcharts, server } = options;
-  const cachePath = join(__dirname, highcharts.cachePath);
-
+const checkVersionCache = async (
+  highcharts,
+  proxyOptions,
+  cachePath,
+  versionCache
+) => {
   let fetchedModules;
-  // Prepare paths to manifest and sources from the .cache folder
+  // Prepare paths to manifest and sources from the cache folder
   const manifestPath = join(cachePath, 'manifest.json');
   const sourcePath = join(cachePath, 'sources.js');
 
   // Create the cache destination if it doesn't exist already
-  !existsSync(cachePath) && mkdirSync(cachePath);
+  !existsSync(cachePath) && mkdirSync(cachePath, { recursive: true });
+
+  // Save the path to the sources for the pages to load
+  versionCache.sourcePath = sourcePath;
 
   // Fetch all the scripts either if manifest.json does not exist
   // or if the forceFetch option is enabled
   if (!existsSync(manifestPath) || highcharts.forceFetch) {
     log(3, '[cache] Fetching and caching Highcharts dependencies.');
-    fetchedModules = await updateCache(highcharts, server.proxy, sourcePath);
+    fetchedModules = await updateCache(
+      highcharts,
+      proxyOptions,
+      sourcePath,
+      versionCache
+    );
   } else {
     let requestUpdate = false;
 
@@ -419,39 +463,136 @@ export const checkAndUpdateCache = async (options) => {
     }
 
     if (requestUpdate) {
-      fetchedModules = await updateCache(highcharts, server.proxy, sourcePath);
+      fetchedModules = await updateCache(
+        highcharts,
+        proxyOptions,
+        sourcePath,
+        versionCache
+      );
     } else {
       log(3, '[cache] Dependency cache is up to date, proceeding.');
 
       // Load the sources
-      cache.sources = readFileSync(sourcePath, 'utf8');
+      versionCache.sources = readFileSync(sourcePath, 'utf8');
 
       // Get current modules map
       fetchedModules = manifest.modules;
 
-      cache.hcVersion = extractVersion(cache);
+      versionCache.hcVersion = extractVersion(versionCache);
     }
   }
 
   // Finally, save the new manifest, which is basically our current config
   // in a slightly different format
-  await saveConfigToManifest(highcharts, fetchedModules);
+  await saveConfigToManifest(
+    highcharts,
+    fetchedModules,
+    manifestPath,
+    versionCache
+  );
+};
+
+/**
+ * Checks the cache for Highcharts dependencies, updates the cache if needed,
+ * and loads the sources. The main version is stored directly in the cachePath
+ * directory, while each of the additional cachedVersions is stored in its own
+ * versions/{version} subdirectory.
+ *
+ * @param {Object} options - Object containing all options.
+ *
+ * @returns {Promise<void>} A Promise that resolves once the cache is checked
+ * and updated.
+ *
+ * @throws {ExportError} Throws an ExportError if there is an issue updating
+ * or reading the cache.
+ */
+export const checkAndUpdateCache = async (options) => {
+  const { highcharts, server } = options;
+  const { cache, versionCaches } = getCacheState();
+  const cachePath = join(__dirname, highcharts.cachePath);
+
+  // The main version
+  await checkVersionCache(highcharts, server.proxy, cachePath, cache);
+
+  // The additional versions, one after another to not overload the CDN
+  for (const cachedVersion of highcharts.cachedVersions || []) {
+    if (cachedVersion === highcharts.version) {
+      continue;
+    }
+
+    if (!versionRegex.test(cachedVersion)) {
+      log(
+        2,
+        `[cache] Skipping the cached version '${cachedVersion}', it must be 'latest', a major version, or in the form XX.YY.ZZ.`
+      );
+      continue;
+    }
+
+    log(3, `[cache] Checking the cache of the ${cachedVersion} version.`);
+
+    const versionCache = versionCaches.get(cachedVersion) || {
+      activeManifest: {},
+      sources: '',
+      hcVersion: '',
+      sourcePath: ''
+    };
+
+    await checkVersionCache(
+      { ...highcharts, version: cachedVersion },
+      server.proxy,
+      join(cachePath, 'versions', cachedVersion),
+      versionCache
+    );
+
+    versionCaches.set(cachedVersion, versionCache);
+  }
 };
 
+/**
+ * Retrieves the cache of a Highcharts version that can be used for an export.
+ *
+ * @param {string} [requestedVersion] - The requested version. When not set,
+ * or set to the main version, the cache of the main version is returned.
+ *
+ * @returns {(object|undefined)} The cache of the version, containing its
+ * sources, manifest, extracted version and path to the sources, or undefined
+ * if the version is not cached.
+ */
+export const getVersionCache = (requestedVersion) =>
+  !requestedVersion ||
+  String(requestedVersion) === getOptions().highcharts.version
+    ? getCache()
+    : getCacheState().versionCaches.get(String(requestedVersion));
+
+/**
+ * Retrieves the list of all Highcharts versions that can be requested.
+ *
+ * @returns {Array<string>} The main version followed by the additional
+ * cached versions.
+ */
+export const getAvailableVersions = () => [
+  ...new Set([
+    getOptions().highcharts.version,
+    ...getCacheState().versionCaches.keys()
+  ])
+];
+
 export const getCachePath = () =>
   join(__dirname, getOptions().highcharts.cachePath);
 
-export const getCache = () => cache;
+export const getCache = () => getCacheState().cache;
 
-export const highcharts = () => cache.sources;
+export const highcharts = () => getCache().sources;
 
-export const version = () => cache.hcVersion;
+export const version = () => getCache().hcVersion;
 
 export default {
   checkAndUpdateCache,
   getCachePath,
   updateVersion,
   getCache,
+  getVersionCache,
+  getAvailableVersions,
   highcharts,
   version
 };
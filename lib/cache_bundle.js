@@ -0,0 +1,295 @@
+/*******************************************************************************
+
+Highcharts Export Server
+
+Copyright (c) 2016-2024, Highsoft
+
+Licenced under the MIT licence.
+
+Additionally a valid Highcharts license is required for use.
+
+See LICENSE file in root for details.
+
+*******************************************************************************/
+
+// The cache bundle is a single gzipped JSON archive with the contents of
+// the cache directory (the manifest.json and sources.js files of the main
+// and the additional cached versions) and their checksums. It allows seeding
+// the cache on machines without access to the CDN or the NPM package.
+
+import { createHash } from 'crypto';
+import {
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  renameSync,
+  writeFileSync
+} from 'fs';
+import { dirname, join } from 'path';
+import { gunzipSync, gzipSync } from 'zlib';
+
+import { log } from './logger.js';
+
+import ExportError from './errors/ExportError.js';
+
+// The identifier and version of the bundle format
+const bundleFormat = 'highcharts-export-server-cache';
+const bundleFormatVersion = 1;
+
+// The only paths, relative to the cache directory, allowed in a bundle
+const allowedPathRegex =
+  /^(versions\/(latest|\d+(\.\d+){0,2})\/)?(manifest\.json|sources\.js)$/;
+
+/**
+ * Calculates the SHA-256 checksum of the content.
+ *
+ * @param {Buffer} content - The content of a file.
+ *
+ * @returns {string} The checksum in the hex format.
+ */
+const checksum = (content) =>
+  createHash('sha256').update(content).digest('hex');
+
+/**
+ * Gathers the relative paths of all files from the cache directory that
+ * should be included in a bundle.
+ *
+ * @param {string} cachePath - The absolute path to the cache directory.
+ *
+ * @returns {Array<string>} The relative paths of the files.
+ *
+ * @throws {ExportError} Throws an ExportError if the cache of the main version
+ * does not exist.
+ */
+const getCacheFiles = (cachePath) => {
+  const files = ['manifest.json', 'sources.js'];
+
+  for (const file of files) {
+    if (!existsSync(join(cachePath, file))) {
+      throw new ExportError(
+        `[cache] The ${file} file is missing in the ${cachePath} directory, there is no cache to pack.`
+      );
+    }
+  }
+
+  // The additional cached versions
+  const versionsPath = join(cachePath, 'versions');
+  if (existsSync(versionsPath)) {
+    for (const version of readdirSync(versionsPath)) {
+      const versionFiles = [
+        `versions/${version}/manifest.json`,
+        `versions/${version}/sources.js`
+      ];
+
+      if (
+        versionFiles.every(
+          (file) =>
+            allowedPathRegex.test(file) && existsSync(join(cachePath, file))
+        )
+      ) {
+        files.push(...versionFiles);
+      } else {
+        log(
+          2,
+          `[cache] Skipping the incomplete cache of the ${version} version.`
+        );
+      }
+    }
+  }
+
+  return files;
+};
+
+/**
+ * Packs the cache directory into a single bundle file.
+ *
+ * @param {string} cachePath - The absolute path to the cache directory.
+ * @param {string} bundlePath - The path of the bundle file to create.
+ *
+ * @returns {Object} The information about the created bundle, containing
+ * the version of the main manifest and the list of the packed files.
+ *
+ * @throws {ExportError} Throws an ExportError if there is no cache to pack
+ * or the bundle cannot be written.
+ */
+export const packCache = (cachePath, bundlePath) => {
+  const files = getCacheFiles(cachePath).map((path) => {
+    const content = readFileSync(join(cachePath, path));
+    return {
+      path,
+      size: content.length,
+      sha256: checksum(content),
+      content: content.toString('base64')
+    };
+  });
+
+  const bundle = {
+    format: bundleFormat,
+    formatVersion: bundleFormatVersion,
+    createdAt: new Date().toISOString(),
+    files
+  };
+
+  try {
+    writeFileSync(bundlePath, gzipSync(JSON.stringify(bundle)));
+  } catch (error) {
+    throw new ExportError(
+      `[cache] Could not write the cache bundle to ${bundlePath}.`
+    ).setError(error);
+  }
+
+  const { version } = JSON.parse(
+    Buffer.from(files[0].content, 'base64').toString('utf8')
+  );
+
+  log(
+    3,
+    `[cache] Packed ${files.length} files of the cache (version ${version}) into ${bundlePath}.`
+  );
+
+  return { version, files: files.map(({ path }) => path) };
+};
+
+/**
+ * Reads a bundle file and verifies its integrity: the format, the paths
+ * and checksums of all files, and the validity of all manifests.
+ *
+ * @param {string} bundlePath - The path of the bundle file to read.
+ *
+ * @returns {Object} The verified bundle, with the content of the files
+ * as buffers.
+ *
+ * @throws {ExportError} Throws an ExportError if the bundle cannot be read
+ * or fails any of the checks.
+ */
+export const readCacheBundle = (bundlePath) => {
+  let bundle;
+  try {
+    bundle = JSON.parse(gunzipSync(readFileSync(bundlePath)).toString('utf8'));
+  } catch (error) {
+    throw new ExportError(
+      `[cache] Could not read the cache bundle from ${bundlePath}.`
+    ).setError(error);
+  }
+
+  if (
+    bundle?.format !== bundleFormat ||
+    bundle.formatVersion !== bundleFormatVersion ||
+    !Array.isArray(bundle.files)
+  ) {
+    throw new ExportError(
+      `[cache] The ${bundlePath} file is not a supported cache bundle.`
+    );
+  }
+
+  const paths = new Set();
+  const files = bundle.files.map((file) => {
+    if (typeof file?.path !== 'string' || !allowedPathRegex.test(file.path)) {
+      throw new ExportError(
+        `[cache] The cache bundle contains a forbidden path: ${file?.path}.`
+      );
+    }
+
+    const content = Buffer.from(file.content || '', 'base64');
+    if (content.length !== file.size || checksum(content) !== file.sha256) {
+      throw new ExportError(
+        `[cache] The checksum of the ${file.path} file in the cache bundle does not match.`
+      );
+    }
+
+    // Each manifest must be a valid JSON with a version
+    if (file.path.endsWith('manifest.json')) {
+      let manifest;
+      try {
+        manifest = JSON.parse(content.toString('utf8'));
+      } catch {
+        // Handled below
+      }
+
+      if (!manifest?.version || typeof manifest.modules !== 'object') {
+        throw new ExportError(
+          `[cache] The ${file.path} file in the cache bundle is not a valid manifest.`
+        );
+      }
+    }
+
+    paths.add(file.path);
+    return { path: file.path, content };
+  });
+
+  // Each manifest must come along with its sources and the main version
+  // must be present
+  for (const path of paths) {
+    const pairPath = path.endsWith('manifest.json')
+      ? path.replace(/manifest\.json$/, 'sources.js')
+      : path.replace(/sources\.js$/, 'manifest.json');
+
+    if (!paths.has(pairPath)) {
+      throw new ExportError(
+        `[cache] The cache bundle is incomplete: the ${pairPath} file is missing.`
+      );
+    }
+  }
+
+  if (!paths.has('manifest.json')) {
+    throw new ExportError(
+      '[cache] The cache bundle does not contain the cache of the main version.'
+    );
+  }
+
+  return { ...bundle, files };
+};
+
+/**
+ * Verifies a bundle file and installs its content into the cache directory.
+ * Every file is first written next to its destination and then renamed,
+ * so an interrupted installation does not leave partially written files.
+ *
+ * @param {string} cachePath - The absolute path to the cache directory.
+ * @param {string} bundlePath - The path of the bundle file to install.
+ *
+ * @returns {Object} The information about the installed bundle, containing
+ * the version of the main manifest and the list of the installed files.
+ *
+ * @throws {ExportError} Throws an ExportError if the bundle fails
+ * the verification or cannot be installed.
+ */
+export const installCache = (cachePath, bundlePath) => {
+  const { files, createdAt } = readCacheBundle(bundlePath);
+
+  log(
+    3,
+    `[cache] Verified the cache bundle ${bundlePath} created at ${createdAt}.`
+  );
+
+  try {
+    for (const { path, content } of files) {
+      const filePath = join(cachePath, path);
+      mkdirSync(dirname(filePath), { recursive: true });
+      writeFileSync(`${filePath}.tmp`, content);
+      renameSync(`${filePath}.tmp`, filePath);
+    }
+  } catch (error) {
+    throw new ExportError(
+      `[cache] Could not install the cache bundle into ${cachePath}.`
+    ).setError(error);
+  }
+
+  const { version } = JSON.parse(
+    files.find(({ path }) => path === 'manifest.json').content.toString('utf8')
+  );
+
+  log(
+    3,
+    `[cache] Installed ${files.length} files of the cache (version ${version}) into ${cachePath}.`
+  );
+
+  return { version, files: files.map(({ path }) => path) };
+};
+
+export default {
+  packCache,
+  readCacheBundle,
+  installCache
+};
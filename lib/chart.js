@@ -15,21 +15,34 @@ See LICENSE file in root for details.
 import { readFileSync, writeFileSync } from 'fs';
 
 import { getOptions, initExportSettings } from './config.js';
+import { getState } from './instance.js';
 import { log, logWithStack } from './logger.js';
-import { killPool, postWork, stats } from './pool.js';
+import { getStats, killPool, postWork } from './pool.js';
 import {
   fixType,
   handleResources,
   isCorrectJSON,
+  measureTime,
   optionsStringify,
+  reversedMime,
   roundNumber,
   toBoolean,
   wrapAround
 } from './utils.js';
 import { sanitize } from './sanitize.js';
+import { withSpan } from './tracing.js';
 import ExportError from './errors/ExportError.js';
 
-let allowCodeExecution = false;
+/**
+ * Retrieves the state of the chart module in the current instance, holding
+ * the code execution permission.
+ *
+ * @returns {Object} The state of the chart module.
+ */
+const getChartState = () =>
+  getState('chart', () => ({
+    allowCodeExecution: false
+  }));
 
 /**
  * Starts an export process. The `settings` contains final options gathered
@@ -50,7 +63,9 @@ export const startExport = async (settings, endCallback) => {
   log(4, '[chart] Starting the exporting process.');
 
   // Initialize options
-  const options = initExportSettings(settings, getOptions());
+  const options = await withSpan('export.options', async () =>
+    initExportSettings(settings, getOptions())
+  );
 
   // Get the export options
   const exportOptions = options.export;
@@ -66,7 +81,7 @@ export const startExport = async (settings, endCallback) => {
         endCallback
       );
 
-      ++stats.exportFromSvgAttempts;
+      ++getStats().exportFromSvgAttempts;
       return result;
     } catch (error) {
       return endCallback(
@@ -128,6 +143,51 @@ export const startExport = async (settings, endCallback) => {
   );
 };
 
+/**
+ * Exports a chart and resolves with the result as a buffer, without writing
+ * anything to the filesystem. The `options` are merged into the general
+ * options, in the same way as the settings of the `startExport`.
+ *
+ * @param {Object} options - The options object containing configuration for
+ * the export.
+ *
+ * @returns {Promise<Object>} A Promise that resolves with an object containing
+ * the exported chart as a buffer (data), its type and MIME type, the width
+ * and height of the chart, and the duration of the export in milliseconds
+ * (durationMs).
+ *
+ * @throws {ExportError} Rejects with an ExportError if the export fails.
+ */
+export const exportChart = (options) => {
+  const exportCounter = measureTime();
+
+  return new Promise((resolve, reject) => {
+    startExport(options, (error, info) => {
+      if (error) {
+        return reject(error);
+      }
+
+      if (!info || !info.result) {
+        return reject(
+          new ExportError(
+            `[chart] Unexpected return from chart generation, the result is ${info?.result}.`
+          )
+        );
+      }
+
+      const { type, width, height } = info.options.export;
+      resolve({
+        data: Buffer.from(info.result, type === 'svg' ? 'utf8' : 'base64'),
+        type,
+        mime: reversedMime[type],
+        width,
+        height,
+        durationMs: Math.round(exportCounter())
+      });
+    }).catch(reject);
+  });
+};
+
 /**
  * Starts a batch export process for multiple charts based on the information
  * in the batch option. The batch is a string in the following format:
@@ -150,30 +210,17 @@ export const batchExport = async (options) => {
     pair = pair.split('=');
     if (pair.length === 2) {
       batchFunctions.push(
-        startExport(
-          {
-            ...options,
-            export: {
-              ...options.export,
-              infile: pair[0],
-              outfile: pair[1]
-            }
-          },
-          (error, info) => {
-            // Throw an error
-            if (error) {
-              throw error;
-            }
-
-            // Save the base64 from a buffer to a correct image file
-            writeFileSync(
-              info.options.export.outfile,
-              info.options.export.type !== 'svg'
-                ? Buffer.from(info.result, 'base64')
-                : info.result
-            );
+        exportChart({
+          ...options,
+          export: {
+            ...options.export,
+            infile: pair[0],
+            outfile: pair[1]
           }
-        )
+        }).then(({ data }) => {
+          // Save the chart to a correct image file
+          writeFileSync(pair[1], data);
+        })
       );
     }
   }
@@ -208,23 +255,13 @@ export const singleExport = async (options) => {
   options.export.instr = options.export.instr || options.export.options;
 
   // Perform an export
-  await startExport(options, async (error, info) => {
-    // Exit process when error
-    if (error) {
-      throw error;
-    }
-
-    const { outfile, type } = info.options.export;
+  const { data, type } = await exportChart(options);
 
-    // Save the base64 from a buffer to a correct image file
-    writeFileSync(
-      outfile || `chart.${type}`,
-      type !== 'svg' ? Buffer.from(info.result, 'base64') : info.result
-    );
+  // Save the chart to a correct image file
+  writeFileSync(options.export.outfile || `chart.${type}`, data);
 
-    // Kill pool and close browser after finishing single export
-    await killPool();
-  });
+  // Kill pool and close browser after finishing single export
+  await killPool();
 };
 
 /**
@@ -305,7 +342,7 @@ const doExport = async (options, chartJson, endCallback, svg) => {
   const allowCodeExecutionScoped =
     typeof customLogicOptions.allowCodeExecution === 'boolean'
       ? customLogicOptions.allowCodeExecution
-      : allowCodeExecution;
+      : getAllowCodeExecution();
 
   if (!customLogicOptions) {
     customLogicOptions = options.customLogic = {};
@@ -543,7 +580,7 @@ const exportAsString = (stringToExport, options, endCallback) => {
  *
  * @returns {any} The value of allowCodeExecution.
  */
-export const getAllowCodeExecution = () => allowCodeExecution;
+export const getAllowCodeExecution = () => getChartState().allowCodeExecution;
 
 /**
  * Sets the code execution permission based on the provided boolean value.
@@ -552,11 +589,12 @@ export const getAllowCodeExecution = () => allowCodeExecution;
  * to allowCodeExecution.
  */
 export const setAllowCodeExecution = (value) => {
-  allowCodeExecution = toBoolean(value);
+  getChartState().allowCodeExecution = toBoolean(value);
 };
 
 export default {
   batchExport,
+  exportChart,
   singleExport,
   getAllowCodeExecution,
   setAllowCodeExecution,
@@ -23,17 +23,38 @@ import {
   promptsConfig
 } from './schemas/config.js';
 import { envs } from './envs.js';
+import { getState, isDefaultInstance } from './instance.js';
 import { log, logWithStack } from './logger.js';
 import { deepCopy, isObject, printUsage, toBoolean } from './utils.js';
 
-let generalOptions = {};
+import ExportError from './errors/ExportError.js';
+
+// The untouched default config, used by the instances other than the default
+// one, so they do not inherit options of each other
+const initialConfig = deepCopy(defaultConfig);
+
+/**
+ * Retrieves the state of the config in the current instance: the general
+ * options, the config with default values updated by them, and the user
+ * options and CLI arguments the options were set with, kept for reloading
+ * the options.
+ *
+ * @returns {Object} The state of the config.
+ */
+const getConfigState = () =>
+  getState('config', () => ({
+    generalOptions: {},
+    config: isDefaultInstance() ? defaultConfig : deepCopy(initialConfig),
+    userOptions: {},
+    args: []
+  }));
 
 /**
  * Retrieves and returns the general options for the export process.
  *
  * @returns {Object} The general options object.
  */
-export const getOptions = () => generalOptions;
+export const getOptions = () => getConfigState().generalOptions;
 
 /**
  * Initializes and sets the general options for the server instace, keeping
@@ -47,23 +68,33 @@ export const getOptions = () => generalOptions;
  * @returns {Object} The updated general options object.
  */
 export const setOptions = (userOptions, args) => {
+  const state = getConfigState();
+
   // Only for the CLI usage
   if (args?.length) {
+    state.args = args;
+
     // Get the additional options from the custom JSON file
-    generalOptions = loadConfigFile(args);
+    state.generalOptions = loadConfigFile(args);
   }
 
   // Update the default config with a correct option values
-  updateDefaultConfig(defaultConfig, generalOptions);
+  updateDefaultConfig(state.config, state.generalOptions);
 
   // Set values for server's options and returns them
-  generalOptions = initOptions(defaultConfig);
+  state.generalOptions = initOptions(state.config);
 
   // Apply user options if there are any
   if (userOptions) {
+    state.userOptions = mergeConfigOptions(
+      state.userOptions,
+      userOptions,
+      absoluteProps
+    );
+
     // Merge user options
-    generalOptions = mergeConfigOptions(
-      generalOptions,
+    state.generalOptions = mergeConfigOptions(
+      state.generalOptions,
       userOptions,
       absoluteProps
     );
@@ -72,11 +103,46 @@ export const setOptions = (userOptions, args) => {
   // Only for the CLI usage
   if (args?.length) {
     // Pair provided arguments
-    generalOptions = pairArgumentValue(generalOptions, args, defaultConfig);
+    state.generalOptions = pairArgumentValue(
+      state.generalOptions,
+      args,
+      state.config
+    );
   }
 
   // Return final general options
-  return generalOptions;
+  return state.generalOptions;
+};
+
+/**
+ * Loads the options from scratch, in the same way as they were set: from
+ * the defaults, the custom JSON file of the --loadConfig argument, the envs,
+ * the user options and the CLI arguments. Neither the current options nor
+ * the config are changed.
+ *
+ * @returns {Object} The loaded options.
+ *
+ * @throws {ExportError} Throws an ExportError if the custom JSON file cannot
+ * be loaded.
+ */
+export const loadOptions = () => {
+  const { userOptions, args } = getConfigState();
+  const config = deepCopy(initialConfig);
+
+  // The defaults updated by the custom JSON file and the envs
+  updateDefaultConfig(config, loadConfigFile(args, true));
+  let options = mergeConfigOptions(
+    initOptions(config),
+    userOptions,
+    absoluteProps
+  );
+
+  // The CLI arguments take precedence over the rest
+  if (args.length) {
+    options = pairArgumentValue(options, args, config);
+  }
+
+  return options;
 };
 
 /**
@@ -267,11 +333,16 @@ export const initExportSettings = (exportOptions, generalOptions = {}) => {
  *
  * @param {Array} args - Command-line arguments to check for
  * the --loadConfig option.
+ * @param {boolean} [strict=false] - Whether to throw if the file cannot be
+ * loaded, instead of ignoring it.
  *
  * @returns {Object} Additional configuration loaded from the specified file,
  * or an empty object if not found or invalid.
+ *
+ * @throws {ExportError} Throws an ExportError if the file cannot be loaded
+ * in the strict mode.
  */
-function loadConfigFile(args) {
+function loadConfigFile(args, strict = false) {
   // Check if the --loadConfig option was used
   const configIndex = args.findIndex(
     (arg) => arg.replace(/-/g, '') === 'loadConfig'
@@ -287,6 +358,12 @@ function loadConfigFile(args) {
         return JSON.parse(readFileSync(fileName));
       }
     } catch (error) {
+      if (strict) {
+        throw new ExportError(
+          `[config] Unable to load the configuration from the ${fileName} file.`
+        ).setError(error);
+      }
+
       logWithStack(
         2,
         error,
@@ -450,6 +527,7 @@ function recursiveProps(objectToUpdate, nestedNames, value) {
 export default {
   getOptions,
   setOptions,
+  loadOptions,
   manualConfig,
   mapToNewConfig,
   mergeConfigOptions,
@@ -5,9 +5,9 @@
  * in the application as "envs". We should not use process.env directly
  * in the application as these would not be parsed properly.
  *
- * The environment variables are parsed and validated only once when
- * the application starts. We should write a custom validator or a transformer
- * for each of the options.
+ * The environment variables are parsed and validated when the application
+ * starts, and again when the options are reloaded. We should write a custom
+ * validator or a transformer for each of the options.
  */
 
 import dotenv from 'dotenv';
@@ -15,6 +15,9 @@ import { z } from 'zod';
 
 import { scriptsNames } from './schemas/config.js';
 
+// The variables set in the environment, which take precedence over the .env
+const processEnv = { ...process.env };
+
 // Load .env into environment variables
 dotenv.config();
 
@@ -34,6 +37,19 @@ const v = {
       )
       .transform((value) => (value.length ? value : undefined)),
 
+  // Splits string value into elements in an array, trims every element,
+  // removes empty ones, and if the array is empty, returns undefined
+  stringArray: () =>
+    z
+      .string()
+      .transform((value) =>
+        value
+          .split(',')
+          .map((value) => value.trim())
+          .filter((value) => value !== '')
+      )
+      .transform((value) => (value.length ? value : undefined)),
+
   // Allows only true, false and correctly parse the value to boolean
   // or no value in which case the returned value will be undefined
   boolean: () =>
@@ -116,6 +132,9 @@ const v = {
 export const Config = z.object({
   // puppeteer
   PUPPETEER_TEMP_DIR: v.path(),
+  PUPPETEER_BROWSER_WS_ENDPOINT: v.string(),
+  PUPPETEER_BROWSER_URL: v.string(),
+  PUPPETEER_HEALTH_CHECK_INTERVAL: v.nonNegativeNum(),
 
   // highcharts
   HIGHCHARTS_VERSION: z
@@ -128,6 +147,22 @@ export const Config = z.object({
       })
     )
     .transform((value) => (value !== '' ? value : undefined)),
+  HIGHCHARTS_CACHED_VERSIONS: z
+    .string()
+    .transform((value) =>
+      value
+        .split(',')
+        .map((value) => value.trim())
+        .filter((value) => value !== '')
+    )
+    .refine(
+      (value) =>
+        value.every((version) => /^(latest|\d+(\.\d+){0,2})$/.test(version)),
+      (value) => ({
+        message: `HIGHCHARTS_CACHED_VERSIONS must be a comma-separated list of 'latest', major versions, or versions in the form XX.YY.ZZ, received '${value}'`
+      })
+    )
+    .transform((value) => (value.length ? value : undefined)),
   HIGHCHARTS_CDN_URL: z
     .string()
     .trim()
@@ -150,23 +185,40 @@ export const Config = z.object({
   HIGHCHARTS_ADMIN_TOKEN: v.string(),
 
   // export
-  EXPORT_TYPE: v.enum(['jpeg', 'png', 'pdf', 'svg']),
+  EXPORT_TYPE: v.enum(['jpeg', 'png', 'webp', 'avif', 'pdf', 'svg']),
   EXPORT_CONSTR: v.enum(['chart', 'stockChart', 'mapChart', 'ganttChart']),
   EXPORT_DEFAULT_HEIGHT: v.positiveNum(),
   EXPORT_DEFAULT_WIDTH: v.positiveNum(),
   EXPORT_DEFAULT_SCALE: v.positiveNum(),
   EXPORT_RASTERIZATION_TIMEOUT: v.nonNegativeNum(),
+  EXPORT_QUALITY: v.positiveNum().refine(
+    (value) => value === undefined || (value >= 1 && value <= 100),
+    (value) => ({
+      message: `The value must be between 1 and 100, received '${value}'`
+    })
+  ),
+  EXPORT_BACKGROUND_COLOR: v.string(),
+  EXPORT_TRANSPARENT: v.boolean(),
 
   // custom
   CUSTOM_LOGIC_ALLOW_CODE_EXECUTION: v.boolean(),
   CUSTOM_LOGIC_ALLOW_FILE_RESOURCES: v.boolean(),
 
+  // network
+  NETWORK_INTERCEPTION: v.boolean(),
+  NETWORK_ALLOW_OUTBOUND: v.boolean(),
+  NETWORK_ALLOWED_HOSTS: v.stringArray(),
+  NETWORK_DENIED_HOSTS: v.stringArray(),
+  NETWORK_BLOCK_PRIVATE_IPS: v.boolean(),
+
   // server
   SERVER_ENABLE: v.boolean(),
   SERVER_HOST: v.string(),
   SERVER_PORT: v.positiveNum(),
   SERVER_MAX_UPLOAD_SIZE: v.positiveNum(),
+  SERVER_MAX_BATCH_ITEMS: v.positiveNum(),
   SERVER_BENCHMARKING: v.boolean(),
+  SERVER_GRACE_PERIOD: v.nonNegativeNum(),
 
   // server proxy
   SERVER_PROXY_HOST: v.string(),
@@ -184,6 +236,14 @@ export const Config = z.object({
   SERVER_RATE_LIMITING_SKIP_KEY: v.string(),
   SERVER_RATE_LIMITING_SKIP_TOKEN: v.string(),
 
+  // server jobs
+  SERVER_JOBS_TTL: v.positiveNum(),
+  SERVER_JOBS_MAX_JOBS: v.positiveNum(),
+
+  // server get export
+  SERVER_GET_EXPORT_SIGNING_KEY: v.string(),
+  SERVER_GET_EXPORT_MAX_AGE: v.nonNegativeNum(),
+
   // server ssl
   SERVER_SSL_ENABLE: v.boolean(),
   SERVER_SSL_FORCE: v.boolean(),
@@ -193,15 +253,32 @@ export const Config = z.object({
   // pool
   POOL_MIN_WORKERS: v.nonNegativeNum(),
   POOL_MAX_WORKERS: v.nonNegativeNum(),
+  POOL_BROWSERS: v.positiveNum(),
   POOL_WORK_LIMIT: v.positiveNum(),
+  POOL_MAX_HEAP_SIZE: v.nonNegativeNum(),
+  POOL_MAX_DOM_NODES: v.nonNegativeNum(),
+  POOL_MAX_RENDER_TIME: v.nonNegativeNum(),
   POOL_ACQUIRE_TIMEOUT: v.nonNegativeNum(),
   POOL_CREATE_TIMEOUT: v.nonNegativeNum(),
   POOL_DESTROY_TIMEOUT: v.nonNegativeNum(),
   POOL_IDLE_TIMEOUT: v.nonNegativeNum(),
   POOL_CREATE_RETRY_INTERVAL: v.nonNegativeNum(),
   POOL_REAPER_INTERVAL: v.nonNegativeNum(),
+  POOL_MAX_QUEUE_SIZE: v.nonNegativeNum(),
+  POOL_MAX_QUEUE_WAIT: v.nonNegativeNum(),
+  POOL_HIGH_PRIORITY_WEIGHT: v.positiveNum(),
+  POOL_NORMAL_PRIORITY_WEIGHT: v.positiveNum(),
+  POOL_BULK_PRIORITY_WEIGHT: v.positiveNum(),
   POOL_BENCHMARKING: v.boolean(),
 
+  // result cache
+  RESULT_CACHE_ENABLE: v.boolean(),
+  RESULT_CACHE_TTL: v.nonNegativeNum(),
+  RESULT_CACHE_MAX_ITEMS: v.positiveNum(),
+  RESULT_CACHE_MAX_SIZE: v.positiveNum(),
+  RESULT_CACHE_DISK_PATH: v.string(),
+  RESULT_CACHE_DISK_MAX_SIZE: v.positiveNum(),
+
   // logger
   LOGGING_LEVEL: z
     .string()
@@ -221,6 +298,18 @@ export const Config = z.object({
   LOGGING_DEST: v.string(),
   LOGGING_TO_CONSOLE: v.boolean(),
   LOGGING_TO_FILE: v.boolean(),
+  LOGGING_FORMAT: v.enum(['text', 'json']),
+  LOGGING_MAX_SIZE: v.nonNegativeNum(),
+  LOGGING_ROTATE_INTERVAL: v.enum(['none', 'hourly', 'daily']),
+  LOGGING_COMPRESS: v.boolean(),
+  LOGGING_MAX_FILES: v.nonNegativeNum(),
+  LOGGING_MAX_AGE: v.nonNegativeNum(),
+
+  // tracing
+  TRACING_ENABLE: v.boolean(),
+  TRACING_ENDPOINT: v.string(),
+  TRACING_SERVICE_NAME: v.string(),
+  TRACING_SAMPLE_RATIO: v.nonNegativeNum(),
 
   // ui
   UI_ENABLE: v.boolean(),
@@ -245,3 +334,46 @@ export const Config = z.object({
 });
 
 export const envs = Config.partial().parse(process.env);
+
+/**
+ * Replaces the envs in place, so all modules see the new values.
+ *
+ * @param {Object} newEnvs - The new envs.
+ *
+ * @returns {Object} The previous envs.
+ */
+const replaceEnvs = (newEnvs) => {
+  const previousEnvs = { ...envs };
+  for (const name of Object.keys(envs)) {
+    delete envs[name];
+  }
+  Object.assign(envs, newEnvs);
+  return previousEnvs;
+};
+
+/**
+ * Reads the .env file again and updates the envs in place, so all modules
+ * see the new values. The variables set in the environment still take
+ * precedence over the .env file.
+ *
+ * @returns {Object} The previous envs, to restore with the restoreEnvs
+ * function if the new values cannot be used.
+ *
+ * @throws {ZodError} Throws a ZodError if a variable has an invalid value,
+ * in which case the envs are left untouched.
+ */
+export const reloadEnvs = () => {
+  const fileEnv = {};
+  dotenv.config({ processEnv: fileEnv });
+
+  return replaceEnvs(Config.partial().parse({ ...fileEnv, ...processEnv }));
+};
+
+/**
+ * Restores the envs from before a reload.
+ *
+ * @param {Object} previousEnvs - The envs returned by the reloadEnvs function.
+ */
+export const restoreEnvs = (previousEnvs) => {
+  replaceEnvs(previousEnvs);
+};
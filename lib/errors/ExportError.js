@@ -13,6 +13,12 @@ class ExportError extends Error {
     if (error.statusCode) {
       this.statusCode = error.statusCode;
     }
+    if (error.retryAfter) {
+      this.retryAfter = error.retryAfter;
+    }
+    if (error.expected) {
+      this.expected = error.expected;
+    }
     if (error.stack) {
       this.stackMessage = error.message;
       this.stack = error.stack;
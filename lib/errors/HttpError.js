@@ -10,6 +10,16 @@ class HttpError extends ExportError {
     this.status = status;
     return this;
   }
+
+  setRetryAfter(seconds) {
+    this.retryAfter = seconds;
+    return this;
+  }
+
+  setExpected() {
+    this.expected = true;
+    return this;
+  }
 }
 
 export default HttpError;
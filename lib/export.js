@@ -13,14 +13,71 @@ See LICENSE file in root for details.
 *******************************************************************************/
 
 import { addPageResources, clearPageResources } from './browser.js';
-import { getCache } from './cache.js';
+import { getVersionCache } from './cache.js';
 import { triggerExport } from './highcharts.js';
 import { log } from './logger.js';
+import { observePhase } from './metrics.js';
+import { withSpan } from './tracing.js';
+import { measureTime, toBoolean } from './utils.js';
 
 import svgTemplate from './../templates/svg_export/svg_export.js';
 
 import ExportError from './errors/ExportError.js';
 
+/**
+ * Gets the quality of the lossy image formats from the export options,
+ * limited to the range between 1 and 100.
+ *
+ * @param {Object} exportOptions - The export options.
+ *
+ * @returns {number} The quality of an image.
+ */
+const getQuality = (exportOptions) =>
+  Math.round(Math.max(1, Math.min(+exportOptions.quality || 80, 100)));
+
+/**
+ * Races a step of an export against the abort signal of the export, so
+ * a cancelled export stops waiting for the page right away.
+ *
+ * @param {Promise} promise - The promise of a step of the export.
+ * @param {AbortSignal} [signal] - The abort signal of the export.
+ *
+ * @returns {Promise} Promise settling as the step does, or rejecting with
+ * an ExportError once the export is cancelled.
+ */
+const abortable = (promise, signal) =>
+  !signal
+    ? promise
+    : new Promise((resolve, reject) => {
+        const onAbort = () =>
+          reject(new ExportError('[export] The export was cancelled.'));
+
+        if (signal.aborted) {
+          return onAbort();
+        }
+
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise
+          .then(resolve, reject)
+          .finally(() => signal.removeEventListener('abort', onAbort));
+      });
+
+/**
+ * Sets the background color of the page body, which shows behind the SVG
+ * inputs (the charts get the color through their options). When no color
+ * is provided, the background set by a previous export is removed.
+ *
+ * @param {Object} page - Puppeteer page object.
+ * @param {string} backgroundColor - The CSS color of the background.
+ *
+ * @returns {Promise<void>} Promise resolving after the background is set.
+ */
+const setBackground = (page, backgroundColor) =>
+  page.evaluate((color) => {
+    // eslint-disable-next-line no-undef
+    document.body.style.backgroundColor = color || '';
+  }, backgroundColor || '');
+
 /**
  * Retrieves the clipping region coordinates of the specified page element with
  * the id 'chart-container'.
@@ -49,13 +106,13 @@ const getClipRegion = (page) =>
  * @param {string} type - Image type.
  * @param {string} encoding - Image encoding.
  * @param {Object} clip - Clipping region coordinates.
- * @param {number} rasterizationTimeout - Timeout for rasterization
- * in milliseconds.
+ * @param {Object} exportOptions - The export options with the quality,
+ * background and rasterization timeout settings.
  *
  * @returns {Promise<Buffer>} Promise resolving to the image buffer or rejecting
  * with an ExportError for timeout.
  */
-const createImage = (page, type, encoding, clip, rasterizationTimeout) =>
+const createImage = (page, type, encoding, clip, exportOptions) =>
   Promise.race([
     page.screenshot({
       type,
@@ -64,20 +121,87 @@ const createImage = (page, type, encoding, clip, rasterizationTimeout) =>
       captureBeyondViewport: true,
       fullPage: false,
       optimizeForSpeed: true,
-      ...(type !== 'png' ? { quality: 80 } : {}),
+      ...(type !== 'png' ? { quality: getQuality(exportOptions) } : {}),
 
       // #447, #463 - always render on a transparent page if the expected type
-      // format is PNG
-      omitBackground: type == 'png'
+      // format supports transparency, unless a background color is requested
+      omitBackground:
+        type !== 'jpeg' &&
+        toBoolean(exportOptions.transparent) &&
+        !exportOptions.backgroundColor
     }),
     new Promise((_resolve, reject) =>
       setTimeout(
         () => reject(new ExportError('Rasterization timeout')),
-        rasterizationTimeout || 1500
+        exportOptions.rasterizationTimeout || 1500
       )
     )
   ]);
 
+/**
+ * Creates an AVIF image. Chromium is not able to encode AVIF on its own, so
+ * a lossless PNG screenshot is taken first and then converted with the sharp
+ * library, an optional dependency loaded only when the AVIF format is
+ * requested. The screenshot and the conversion share the rasterization
+ * timeout, and the conversion is not started for a cancelled export.
+ *
+ * @param {Object} page - Puppeteer page object.
+ * @param {string} encoding - Image encoding.
+ * @param {Object} clip - Clipping region coordinates.
+ * @param {Object} exportOptions - The export options with the quality,
+ * background and rasterization timeout settings.
+ * @param {AbortSignal} [signal] - The abort signal of the export.
+ *
+ * @returns {Promise<string|Buffer>} Promise resolving to the AVIF image
+ * in the requested encoding.
+ *
+ * @throws {ExportError} Throws an ExportError if the sharp library cannot
+ * be loaded, the export is cancelled, or the conversion times out.
+ */
+const createAVIF = async (page, encoding, clip, exportOptions, signal) => {
+  let sharp;
+  try {
+    sharp = (await import('sharp')).default;
+  } catch (error) {
+    throw new ExportError(
+      '[export] The AVIF format requires the sharp package to be installed.'
+    ).setError(error);
+  }
+
+  const deadline = Date.now() + (exportOptions.rasterizationTimeout || 1500);
+
+  // Take a lossless screenshot as the source for the conversion
+  const png = await createImage(page, 'png', 'binary', clip, exportOptions);
+
+  // Do not start the conversion of a cancelled export
+  if (signal?.aborted) {
+    throw new ExportError('[export] The export was cancelled.');
+  }
+
+  // The rest of the timeout, after which sharp also stops the encoding
+  // (with the accuracy of seconds)
+  const remaining = Math.max(0, deadline - Date.now());
+  let timeout;
+  try {
+    const avif = await Promise.race([
+      sharp(Buffer.from(png))
+        .avif({ quality: getQuality(exportOptions) })
+        .timeout({ seconds: Math.max(1, Math.ceil(remaining / 1000)) })
+        .toBuffer(),
+      new Promise((_resolve, reject) => {
+        timeout = setTimeout(
+          () => reject(new ExportError('Rasterization timeout')),
+          remaining
+        );
+      })
+    ]);
+    return encoding === 'base64' ? avif.toString('base64') : avif;
+  } finally {
+    // Do not keep the process alive after the conversion
+    clearTimeout(timeout);
+  }
+};
+
 /**
  * Creates a PDF using Puppeteer's page pdf functionality with specified
  * options.
@@ -118,6 +242,84 @@ const createPDF = async (
 const createSVG = (page) =>
   page.$eval('#container svg:first-of-type', (element) => element.outerHTML);
 
+/**
+ * Sets up the page for the rasterization: zooms it by the scale in case of
+ * SVG input, sets the background and sizes the viewport after the real size
+ * of the chart.
+ *
+ * @param {Object} page - Puppeteer page object.
+ * @param {Object} exportOptions - The export options with the size, scale
+ * and background settings.
+ * @param {boolean} isSVG - Whether the input of the export is SVG.
+ *
+ * @returns {Promise<Object>} Promise resolving to an object containing
+ * the viewportHeight, viewportWidth, x and y properties of the clip region.
+ */
+const setupPage = async (page, exportOptions, isSVG) => {
+  // Get the real chart size and set the zoom accordingly
+  const size = isSVG
+    ? await page.evaluate((scale) => {
+        const svgElement = document.querySelector(
+          '#chart-container svg:first-of-type'
+        );
+
+        // Get the values correctly scaled
+        const chartHeight = svgElement.height.baseVal.value * scale;
+        const chartWidth = svgElement.width.baseVal.value * scale;
+
+        // In case of SVG the zoom must be set directly for body
+        // Set the zoom as scale
+        // eslint-disable-next-line no-undef
+        document.body.style.zoom = scale;
+
+        // Set the margin to 0px
+        // eslint-disable-next-line no-undef
+        document.body.style.margin = '0px';
+
+        return {
+          chartHeight,
+          chartWidth
+        };
+      }, parseFloat(exportOptions.scale))
+    : await page.evaluate(() => {
+        // eslint-disable-next-line no-undef
+        const { chartHeight, chartWidth } = window.Highcharts.charts[0];
+
+        // No need for such scale manipulation in case of other types of exports
+        // Reset the zoom for other exports than to SVGs
+        // eslint-disable-next-line no-undef
+        document.body.style.zoom = 1;
+
+        return {
+          chartHeight,
+          chartWidth
+        };
+      });
+
+  // Set final height and width for viewport
+  const viewportHeight = Math.abs(
+    Math.ceil(size.chartHeight || exportOptions.height)
+  );
+  const viewportWidth = Math.abs(
+    Math.ceil(size.chartWidth || exportOptions.width)
+  );
+
+  // Get the clip region for the page
+  const { x, y } = await getClipRegion(page);
+
+  // Set the requested background color, or clear the previous one
+  await setBackground(page, exportOptions.backgroundColor);
+
+  // Set the final viewport now that we have the real height
+  await page.setViewport({
+    height: viewportHeight,
+    width: viewportWidth,
+    deviceScaleFactor: isSVG ? 1 : parseFloat(exportOptions.scale)
+  });
+
+  return { viewportHeight, viewportWidth, x, y };
+};
+
 /**
  * Sets the specified chart and options as configuration into the triggerExport
  * function within the window context using page.evaluate.
@@ -154,11 +356,16 @@ const setAsConfig = async (page, chart, options, displayErrors) => {
   }
 
   // Trigger the Highcharts chart creation
-  return page.evaluate(triggerExport, chart, options, displayErrors);
+  return withSpan(
+    'export.triggerExport',
+    () => page.evaluate(triggerExport, chart, options, displayErrors),
+    { 'export.input_size': totalSize }
+  );
 };
 
 /**
- * Exports to a chart from a page using Puppeteer.
+ * Exports to a chart from a page using Puppeteer. The export stops as soon as
+ * the abort signal passed in the payload of the options is aborted.
  *
  * @param {Object} page - Puppeteer page object.
  * @param {any} chart - The chart object or SVG configuration to be exported.
@@ -171,15 +378,22 @@ export default async (page, chart, options) => {
   // Injected resources array (additional JS and CSS)
   let injectedResources = [];
 
+  // The signal of cancelling the export
+  const signal = options.payload?.signal;
+
   try {
     log(4, '[export] Determining export path.');
 
+    // Measure the time of loading and rendering a chart
+    const renderCounter = measureTime();
+
     const exportOptions = options.export;
 
     // Decide whether display error or debbuger wrapper around it
     const displayErrors =
       exportOptions?.options?.chart?.displayErrors &&
-      getCache().activeManifest.modules.debugger;
+      getVersionCache(exportOptions.highchartsVersion).activeManifest.modules
+        .debugger;
 
     let isSVG;
     if (
@@ -195,9 +409,14 @@ export default async (page, chart, options) => {
       }
 
       isSVG = true;
-      await page.setContent(svgTemplate(chart), {
-        waitUntil: 'domcontentloaded'
-      });
+      await abortable(
+        withSpan('export.loadSVG', () =>
+          page.setContent(svgTemplate(chart), {
+            waitUntil: 'domcontentloaded'
+          })
+        ),
+        signal
+      );
     } else {
       // JSON config handling
       log(4, '[export] Treating as config.');
@@ -205,116 +424,114 @@ export default async (page, chart, options) => {
       // Need to perform straight inject
       if (exportOptions.strInj) {
         // Injection based configuration export
-        await setAsConfig(
-          page,
-          {
-            chart: {
-              height: exportOptions.height,
-              width: exportOptions.width
-            }
-          },
-          options,
-          displayErrors
+        await abortable(
+          setAsConfig(
+            page,
+            {
+              chart: {
+                height: exportOptions.height,
+                width: exportOptions.width
+              }
+            },
+            options,
+            displayErrors
+          ),
+          signal
         );
       } else {
         // Basic configuration export
         chart.chart.height = exportOptions.height;
         chart.chart.width = exportOptions.width;
 
-        await setAsConfig(page, chart, options, displayErrors);
+        await abortable(
+          setAsConfig(page, chart, options, displayErrors),
+          signal
+        );
       }
     }
 
     // Keeps track of all resources added on the page with addXXXTag. etc
     // It's VITAL that all added resources ends up here so we can clear things
     // out when doing a new export in the same page!
-    injectedResources = await addPageResources(page, options);
-
-    // Get the real chart size and set the zoom accordingly
-    const size = isSVG
-      ? await page.evaluate((scale) => {
-          const svgElement = document.querySelector(
-            '#chart-container svg:first-of-type'
-          );
-
-          // Get the values correctly scaled
-          const chartHeight = svgElement.height.baseVal.value * scale;
-          const chartWidth = svgElement.width.baseVal.value * scale;
-
-          // In case of SVG the zoom must be set directly for body
-          // Set the zoom as scale
-          // eslint-disable-next-line no-undef
-          document.body.style.zoom = scale;
-
-          // Set the margin to 0px
-          // eslint-disable-next-line no-undef
-          document.body.style.margin = '0px';
-
-          return {
-            chartHeight,
-            chartWidth
-          };
-        }, parseFloat(exportOptions.scale))
-      : await page.evaluate(() => {
-          // eslint-disable-next-line no-undef
-          const { chartHeight, chartWidth } = window.Highcharts.charts[0];
-
-          // No need for such scale manipulation in case of other types of exports
-          // Reset the zoom for other exports than to SVGs
-          // eslint-disable-next-line no-undef
-          document.body.style.zoom = 1;
-
-          return {
-            chartHeight,
-            chartWidth
-          };
-        });
-
-    // Set final height and width for viewport
-    const viewportHeight = Math.abs(
-      Math.ceil(size.chartHeight || exportOptions.height)
-    );
-    const viewportWidth = Math.abs(
-      Math.ceil(size.chartWidth || exportOptions.width)
+    injectedResources = await abortable(
+      withSpan('export.injectResources', () => addPageResources(page, options)),
+      signal
     );
 
-    // Get the clip region for the page
-    const { x, y } = await getClipRegion(page);
+    // Size the page after the chart and get the clip region
+    const { viewportHeight, viewportWidth, x, y } = await withSpan(
+      'export.pageSetup',
+      () => setupPage(page, exportOptions, isSVG)
+    );
 
-    // Set the final viewport now that we have the real height
-    await page.setViewport({
-      height: viewportHeight,
-      width: viewportWidth,
-      deviceScaleFactor: isSVG ? 1 : parseFloat(exportOptions.scale)
-    });
+    observePhase('render', renderCounter());
 
     let data;
     // Rasterization process
+    const rasterizeCounter = measureTime();
     if (exportOptions.type === 'svg') {
       // SVG
-      data = await createSVG(page);
-    } else if (['png', 'jpeg'].includes(exportOptions.type)) {
-      // PNG or JPEG
-      data = await createImage(
-        page,
-        exportOptions.type,
-        'base64',
-        {
-          width: viewportWidth,
-          height: viewportHeight,
-          x,
-          y
-        },
-        exportOptions.rasterizationTimeout
+      data = await abortable(
+        withSpan('export.svg', () => createSVG(page)),
+        signal
+      );
+    } else if (['png', 'jpeg', 'webp'].includes(exportOptions.type)) {
+      // PNG, JPEG or WebP
+      data = await abortable(
+        withSpan(
+          'export.screenshot',
+          () =>
+            createImage(
+              page,
+              exportOptions.type,
+              'base64',
+              {
+                width: viewportWidth,
+                height: viewportHeight,
+                x,
+                y
+              },
+              exportOptions
+            ),
+          { 'export.type': exportOptions.type }
+        ),
+        signal
+      );
+    } else if (exportOptions.type === 'avif') {
+      // AVIF
+      data = await abortable(
+        withSpan(
+          'export.screenshot',
+          () =>
+            createAVIF(
+              page,
+              'base64',
+              {
+                width: viewportWidth,
+                height: viewportHeight,
+                x,
+                y
+              },
+              exportOptions,
+              signal
+            ),
+          { 'export.type': exportOptions.type }
+        ),
+        signal
       );
     } else if (exportOptions.type === 'pdf') {
       // PDF
-      data = await createPDF(
-        page,
-        viewportHeight,
-        viewportWidth,
-        'base64',
-        exportOptions.rasterizationTimeout
+      data = await abortable(
+        withSpan('export.pdf', () =>
+          createPDF(
+            page,
+            viewportHeight,
+            viewportWidth,
+            'base64',
+            exportOptions.rasterizationTimeout
+          )
+        ),
+        signal
       );
     } else {
       throw new ExportError(
@@ -322,11 +539,17 @@ export default async (page, chart, options) => {
       );
     }
 
+    observePhase('rasterize', rasterizeCounter());
+
     // Clear previously injected JS and CSS resources
     await clearPageResources(page, injectedResources);
     return data;
   } catch (error) {
-    await clearPageResources(page, injectedResources);
+    // The page of a cancelled export may still be busy, it is reset
+    // by the pool instead
+    if (!signal?.aborted) {
+      await clearPageResources(page, injectedResources);
+    }
     return error;
   }
 };
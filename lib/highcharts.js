@@ -52,6 +52,15 @@ export async function triggerExport(chartOptions, options, displayErrors) {
     chart.width = chartOptions.chart.width;
   }
 
+  // The requested background color of the raster exports replaces the one
+  // of the chart, which would otherwise cover the page
+  if (
+    options.export.backgroundColor &&
+    !['pdf', 'svg'].includes(options.export.type)
+  ) {
+    chart.backgroundColor = options.export.backgroundColor;
+  }
+
   // NOTE: Is this used for anything useful?
   window.isRenderComplete = false;
   wrap(Highcharts.Chart.prototype, 'init', function (proceed, userOptions, cb) {
@@ -14,14 +14,22 @@ See LICENSE file in root for details.
 
 import 'colors';
 
-import { checkAndUpdateCache } from './cache.js';
+import { checkAndUpdateCache, getCachePath } from './cache.js';
+import { installCache, packCache } from './cache_bundle.js';
 import {
   batchExport,
+  exportChart,
   setAllowCodeExecution,
   singleExport,
   startExport
 } from './chart.js';
-import { mapToNewConfig, manualConfig, setOptions } from './config.js';
+import {
+  getOptions,
+  mapToNewConfig,
+  manualConfig,
+  setOptions
+} from './config.js';
+import { addInstance, removeInstance, runInInstance } from './instance.js';
 import {
   initLogging,
   log,
@@ -30,16 +38,30 @@ import {
   enableFileLogging
 } from './logger.js';
 import { initPool, killPool } from './pool.js';
-import { shutdownCleanUp } from './resource_release.js';
+import { initResultCache } from './result_cache.js';
+import { reloadOptions } from './reload.js';
+import { releaseResources, shutdownCleanUp } from './resource_release.js';
 import server, { startServer } from './server/server.js';
+import { initTracing } from './tracing.js';
 import { printLogo, printUsage } from './utils.js';
 
+import ExportError from './errors/ExportError.js';
+import HttpError from './errors/HttpError.js';
+
+// The exit listeners are shared by all instances, so are attached only once
+let processExitListenersAttached = false;
+
 /**
  * Attaches exit listeners to the process, ensuring proper cleanup of resources
  * and termination on exit signals. Handles 'exit', 'SIGINT', 'SIGTERM', and
- * 'uncaughtException' events.
+ * 'uncaughtException' events. The 'SIGHUP' reloads the options instead.
  */
 const attachProcessExitListeners = () => {
+  if (processExitListenersAttached) {
+    return;
+  }
+  processExitListenersAttached = true;
+
   log(3, '[process] Attaching exit listeners to the process.');
 
   // Handler for the 'exit'
@@ -59,10 +81,14 @@ const attachProcessExitListeners = () => {
     await shutdownCleanUp(0);
   });
 
-  // Handler for the 'SIGHUP'
+  // Handler for the 'SIGHUP', which reloads the options instead of exiting
   process.on('SIGHUP', async (name, code) => {
     log(4, `The ${name} event with code: ${code}.`);
-    await shutdownCleanUp(0);
+    try {
+      await reloadOptions();
+    } catch (error) {
+      logWithStack(1, error, '[process] Could not reload the options.');
+    }
   });
 
   // Handler for the 'uncaughtException'
@@ -90,6 +116,9 @@ const initExport = async (options) => {
   // Init the logging
   initLogging(options.logging);
 
+  // Init the tracing
+  await initTracing(options.tracing);
+
   // Attach process' exit listeners
   if (options.other.listenToProcessExits) {
     attachProcessExitListeners();
@@ -98,6 +127,9 @@ const initExport = async (options) => {
   // Check if cache needs to be updated
   await checkAndUpdateCache(options);
 
+  // Init the result cache
+  initResultCache(options.resultCache);
+
   // Init the pool
   await initPool({
     pool: options.pool || {
@@ -111,6 +143,116 @@ const initExport = async (options) => {
   return options;
 };
 
+/**
+ * Packs the Highcharts cache into a single bundle file. The cache is checked
+ * and updated according to the options first, so the bundle contains all
+ * the versions and scripts required by the options.
+ *
+ * @param {Object} options - All export options.
+ * @param {string} bundlePath - The path of the bundle file to create.
+ *
+ * @returns {Promise<Object>} Promise resolving to the information about
+ * the created bundle.
+ */
+const exportCache = async (options, bundlePath) => {
+  // Init the logging
+  initLogging(options.logging);
+
+  // Check if cache needs to be updated
+  await checkAndUpdateCache(options);
+
+  return packCache(getCachePath(), bundlePath);
+};
+
+/**
+ * Verifies a cache bundle file and installs it into the cachePath directory,
+ * so the cache can be used without fetching the scripts.
+ *
+ * @param {Object} options - All export options.
+ * @param {string} bundlePath - The path of the bundle file to install.
+ *
+ * @returns {Promise<Object>} Promise resolving to the information about
+ * the installed bundle.
+ */
+const importCache = async (options, bundlePath) => {
+  // Init the logging
+  initLogging(options.logging);
+
+  const bundleInfo = installCache(getCachePath(), bundlePath);
+
+  // The cache is fetched again on startup if the versions do not match
+  if (bundleInfo.version !== options.highcharts.version) {
+    log(
+      2,
+      `[cache] The installed cache contains the ${bundleInfo.version} version, while the configured version is ${options.highcharts.version}. Set the HIGHCHARTS_VERSION to ${bundleInfo.version} to use it without fetching.`
+    );
+  }
+
+  return bundleInfo;
+};
+
+/**
+ * Creates an exporter, an isolated instance of the export server that owns its
+ * options, pool of workers, browser, cache, metrics, request hooks and HTTP
+ * server. Many exporters can run side by side in one process, e.g. with
+ * different Highcharts versions or pool sizes. The logging is shared.
+ *
+ * @param {Object} [options={}] - The options of the exporter, merged with
+ * the default ones like in the setOptions function.
+ *
+ * @returns {Object} The exporter, with the methods of the module's API run
+ * within its instance.
+ */
+const createExporter = (options = {}) => {
+  const instance = addInstance();
+
+  // Every method is run within the instance of the exporter
+  const bind =
+    (fn) =>
+    (...args) =>
+      runInInstance(instance, fn, ...args);
+
+  // Set the options of the exporter
+  bind(setOptions)(options);
+
+  return {
+    id: instance.id,
+
+    // Server
+    server: Object.fromEntries(
+      Object.entries(server).map(([name, fn]) => [name, bind(fn)])
+    ),
+    startServer: bind((serverConfig = getOptions().server) =>
+      startServer(serverConfig)
+    ),
+
+    // Exporting
+    initExport: bind((exportOptions = getOptions()) =>
+      initExport(exportOptions)
+    ),
+    singleExport: bind(singleExport),
+    batchExport: bind(batchExport),
+    startExport: bind(startExport),
+    exportChart: bind(exportChart),
+
+    // Other
+    getOptions: bind(getOptions),
+    setOptions: bind(setOptions),
+
+    /**
+     * Frees all resources of the exporter: closes its servers, kills its pool
+     * and browser, and unregisters it.
+     *
+     * @returns {Promise<void>} A promise that resolves once the resources
+     * are freed.
+     */
+    kill: async () => {
+      await releaseResources(instance);
+      removeInstance(instance);
+    }
+  };
+};
+
 export default {
   // Server
   server,
@@ -121,13 +263,22 @@ export default {
   singleExport,
   batchExport,
   startExport,
+  exportChart,
+
+  // Instances
+  createExporter,
 
   // Pool
   initPool,
   killPool,
 
+  // Cache
+  exportCache,
+  importCache,
+
   // Other
   setOptions,
+  reloadOptions,
   shutdownCleanUp,
 
   // Logs
@@ -136,6 +287,10 @@ export default {
   setLogLevel,
   enableFileLogging,
 
+  // Errors
+  ExportError,
+  HttpError,
+
   // Utils
   mapToNewConfig,
   manualConfig,
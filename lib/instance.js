@@ -0,0 +1,128 @@
+/*******************************************************************************
+
+Highcharts Export Server
+
+Copyright (c) 2016-2024, Highsoft
+
+Licenced under the MIT licence.
+
+Additionally a valid Highcharts license is required for use.
+
+See LICENSE file in root for details.
+
+*******************************************************************************/
+
+// Every exporter instance keeps its own state of the modules (e.g. the options,
+// pool, browser and cache). The current instance is propagated through all
+// asynchronous calls made within it, while the calls made outside of any
+// instance use the default one, which backs the module-level API.
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+// The storage of the current instance
+const storage = new AsyncLocalStorage();
+
+// The counter used for the ids of instances
+let instancesCounter = 0;
+
+/**
+ * Creates a new instance with an empty state.
+ *
+ * @param {string} id - The id of the instance.
+ *
+ * @returns {Object} - The instance object, with its id and the map of states
+ * of the modules.
+ */
+const createInstance = (id) => ({
+  id,
+  states: new Map()
+});
+
+// The instance used outside of any other instance
+const defaultInstance = createInstance('default');
+
+// All instances, used e.g. for releasing their resources on shutdown
+const instances = new Set([defaultInstance]);
+
+/**
+ * Creates and registers a new instance.
+ *
+ * @returns {Object} - The instance object.
+ */
+export const addInstance = () => {
+  const instance = createInstance(`instance-${++instancesCounter}`);
+  instances.add(instance);
+  return instance;
+};
+
+/**
+ * Unregisters an instance, once its resources are released.
+ *
+ * @param {Object} instance - The instance object.
+ */
+export const removeInstance = (instance) => {
+  instance !== defaultInstance && instances.delete(instance);
+};
+
+/**
+ * Retrieves all registered instances.
+ *
+ * @returns {Array<Object>} - The instance objects.
+ */
+export const getInstances = () => [...instances];
+
+/**
+ * Retrieves the current instance, or the default one when called outside
+ * of any instance.
+ *
+ * @returns {Object} - The instance object.
+ */
+export const getInstance = () => storage.getStore() || defaultInstance;
+
+/**
+ * Checks if the current instance is the default one.
+ *
+ * @returns {boolean} - True if called outside of any other instance, false
+ * otherwise.
+ */
+export const isDefaultInstance = () => getInstance() === defaultInstance;
+
+/**
+ * Runs a function within an instance. The instance stays current in all
+ * asynchronous calls, timers and events started by the function.
+ *
+ * @param {Object} instance - The instance object.
+ * @param {Function} fn - The function to run.
+ * @param {...any} args - The arguments of the function.
+ *
+ * @returns {any} - The value returned by the function.
+ */
+export const runInInstance = (instance, fn, ...args) =>
+  storage.run(instance, fn, ...args);
+
+/**
+ * Retrieves the state of a module in the current instance. The state is
+ * created with the init function the first time it is needed.
+ *
+ * @param {string} name - The name of the module.
+ * @param {Function} init - The function that creates the initial state.
+ *
+ * @returns {Object} - The state of the module.
+ */
+export const getState = (name, init) => {
+  const { states } = getInstance();
+  if (!states.has(name)) {
+    states.set(name, init());
+  }
+  return states.get(name);
+};
+
+export default {
+  addInstance,
+  removeInstance,
+  getInstances,
+  getInstance,
+  isDefaultInstance,
+  runInInstance,
+  getState
+};
@@ -12,10 +12,16 @@ See LICENSE file in root for details.
 
 *******************************************************************************/
 
+import { getState } from './instance.js';
 import { log } from './logger.js';
 
-// Array that contains ids of all ongoing intervals
-const intervalIds = [];
+/**
+ * Retrieves the array that contains ids of all ongoing intervals of the current
+ * instance.
+ *
+ * @returns {Array<NodeJS.Timeout>} - Ids of the intervals.
+ */
+const getIntervalIds = () => getState('intervals', () => []);
 
 /**
  * Adds id of a setInterval to the intervalIds array.
@@ -23,7 +29,7 @@ const intervalIds = [];
  * @param {NodeJS.Timeout} id - Id of an interval.
  */
 export const addInterval = (id) => {
-  intervalIds.push(id);
+  getIntervalIds().push(id);
 };
 
 /**
@@ -31,9 +37,11 @@ export const addInterval = (id) => {
  */
 export const clearAllIntervals = () => {
   log(4, `[server] Clearing all registered intervals.`);
+  const intervalIds = getIntervalIds();
   for (const id of intervalIds) {
     clearInterval(id);
   }
+  intervalIds.length = 0;
 };
 
 export default {
@@ -0,0 +1,183 @@
+/*******************************************************************************
+
+Highcharts Export Server
+
+Copyright (c) 2016-2024, Highsoft
+
+Licenced under the MIT licence.
+
+Additionally a valid Highcharts license is required for use.
+
+See LICENSE file in root for details.
+
+*******************************************************************************/
+
+// The priority lanes decide the order in which the waiting exports acquire
+// workers. The higher lanes are served first, while the lower ones still get
+// their share of workers according to the weights of the lanes, so the bulk
+// exports cannot starve the interactive ones and the other way round.
+
+import { getState } from './instance.js';
+
+import ExportError from './errors/ExportError.js';
+
+// The available priorities, from the highest to the lowest
+export const priorities = ['high', 'normal', 'bulk'];
+
+// The priority of exports that do not request any
+export const defaultPriority = 'normal';
+
+/**
+ * Retrieves the state of the lanes in the current instance: the number
+ * of exports allowed to use workers at the same time, the number of exports
+ * using them at the moment, and the lanes with their waiting exports.
+ *
+ * @returns {Object} The state of the lanes.
+ */
+const getLanesState = () =>
+  getState('lanes', () => ({
+    slots: 1,
+    active: 0,
+    lanes: new Map(
+      priorities.map((priority) => [
+        priority,
+        { weight: 1, currentWeight: 0, waiting: [] }
+      ])
+    )
+  }));
+
+/**
+ * Picks the lane to serve next with the smooth weighted round-robin. Every
+ * lane with waiting exports gains its weight, and the one with the highest
+ * current weight is picked and loses the total weight of all such lanes.
+ * On a tie, the higher lane wins.
+ *
+ * @returns {(Object|undefined)} The lane to serve next, or undefined if no
+ * export is waiting.
+ */
+const pickLane = () => {
+  let picked;
+  let totalWeight = 0;
+
+  for (const lane of getLanesState().lanes.values()) {
+    if (lane.waiting.length) {
+      lane.currentWeight += lane.weight;
+      totalWeight += lane.weight;
+      if (!picked || lane.currentWeight > picked.currentWeight) {
+        picked = lane;
+      }
+    }
+  }
+
+  if (picked) {
+    picked.currentWeight -= totalWeight;
+  }
+  return picked;
+};
+
+/**
+ * Lets the waiting exports in, as long as there are free slots.
+ */
+const dispatch = () => {
+  const state = getLanesState();
+
+  while (state.active < state.slots) {
+    const lane = pickLane();
+    if (!lane) {
+      break;
+    }
+
+    state.active++;
+    lane.waiting.shift().resolve();
+  }
+};
+
+/**
+ * Initializes the lanes with the number of slots and the weights of lanes.
+ *
+ * @param {number} slots - The number of exports allowed to use workers
+ * at the same time, usually the maximum number of workers.
+ * @param {Object} weights - The weights of lanes, keyed by their priorities.
+ */
+export const initLanes = (slots, weights = {}) => {
+  const state = getLanesState();
+
+  state.slots = Math.max(1, parseInt(slots) || 1);
+  for (const [priority, lane] of state.lanes) {
+    lane.weight = Math.max(1, +weights[priority] || 1);
+    lane.currentWeight = 0;
+  }
+
+  dispatch();
+};
+
+/**
+ * Enters the lane of a priority and waits for the turn of an export.
+ *
+ * @param {string} [priority=defaultPriority] - The priority of the export.
+ *
+ * @returns {Object} An object with the promise that resolves once the export
+ * may acquire a worker, and the abort function that rejects it and removes
+ * the export from the lane.
+ *
+ * @throws {ExportError} Throws an ExportError if the priority is unknown.
+ */
+export const enterLane = (priority = defaultPriority) => {
+  const lane = getLanesState().lanes.get(priority);
+  if (!lane) {
+    throw new ExportError(`The priority ${priority} is unknown.`);
+  }
+
+  const entry = {};
+  entry.promise = new Promise((resolve, reject) => {
+    entry.resolve = resolve;
+    entry.reject = reject;
+  });
+  lane.waiting.push(entry);
+
+  dispatch();
+
+  return {
+    promise: entry.promise,
+    abort: () => {
+      const index = lane.waiting.indexOf(entry);
+      if (index > -1) {
+        lane.waiting.splice(index, 1);
+        entry.reject(new ExportError('Stopped waiting in the lane.'));
+      }
+    }
+  };
+};
+
+/**
+ * Leaves a lane after the export is done with its worker, which lets
+ * the next waiting export in.
+ */
+export const leaveLane = () => {
+  const state = getLanesState();
+  state.active = Math.max(0, state.active - 1);
+
+  dispatch();
+};
+
+/**
+ * Retrieves the number of exports waiting in every lane.
+ *
+ * @returns {Object} The numbers of waiting exports, keyed by the priorities.
+ */
+export const getLanesInfo = () =>
+  Object.fromEntries(
+    [...getLanesState().lanes].map(([priority, lane]) => [
+      priority,
+      lane.waiting.length
+    ])
+  );
+
+export default {
+  priorities,
+  defaultPriority,
+  initLanes,
+  enterLane,
+  leaveLane,
+  getLanesInfo
+};
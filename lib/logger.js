@@ -12,7 +12,29 @@ See LICENSE file in root for details.
 
 *******************************************************************************/
 
-import { appendFile, existsSync, mkdirSync } from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
+import {
+  appendFile,
+  createReadStream,
+  createWriteStream,
+  existsSync,
+  mkdirSync,
+  readdir,
+  renameSync,
+  stat,
+  statSync,
+  unlink
+} from 'fs';
+import { pipeline } from 'stream';
+import { createGzip } from 'zlib';
+
+// The context of the current request, e.g. its requestId and workerId, added
+// to the logs in the JSON format
+const logContext = new AsyncLocalStorage();
+
+// The lengths of the ISO dates that identify the periods of the time-based
+// rotation of log files
+const rotationPeriods = { hourly: 13, daily: 10 };
 
 // The available colors
 const colors = ['red', 'yellow', 'blue', 'gray', 'green'];
@@ -23,6 +45,17 @@ let logging = {
   toConsole: true,
   toFile: false,
   pathCreated: false,
+  // The format of logs, either text or json
+  format: 'text',
+  // The rotation of the log file: the size (in MB) and period of the current
+  // file that trigger it, and the retention of the rotated files
+  maxSize: 0,
+  rotateInterval: 'none',
+  compress: false,
+  maxFiles: 0,
+  maxAge: 0,
+  fileSize: 0,
+  filePeriod: undefined,
   // Log levels
   levelsDesc: [
     {
@@ -50,15 +83,116 @@ let logging = {
   listeners: []
 };
 
+/**
+ * Gets the period of the time-based rotation that a date belongs to, e.g.
+ * the day for the daily rotation.
+ *
+ * @param {Date} [date=new Date()] - The date.
+ *
+ * @returns {(string|undefined)} The period, or undefined if the time-based
+ * rotation is disabled.
+ */
+const getRotationPeriod = (date = new Date()) => {
+  const length = rotationPeriods[logging.rotateInterval];
+  return length ? date.toISOString().slice(0, length) : undefined;
+};
+
+/**
+ * Removes the rotated log files beyond the maximum number of files, and
+ * the ones older than the maximum age (in days).
+ */
+const pruneLogFiles = () => {
+  const { dest, file, maxFiles, maxAge } = logging;
+  if (!(maxFiles > 0) && !(maxAge > 0)) {
+    return;
+  }
+
+  readdir(dest, (error, names) => {
+    if (error) {
+      return console.log(`[logger] Unable to read the log directory: ${error}`);
+    }
+
+    // The names contain the time of rotation, so the newest are the first
+    const rotatedFiles = names
+      .filter((name) => name.startsWith(`${file}.`))
+      .sort()
+      .reverse();
+    const oldestTime = Date.now() - maxAge * 24 * 60 * 60 * 1000;
+
+    rotatedFiles.forEach((name, index) => {
+      const filePath = `${dest}${name}`;
+      stat(filePath, (error, stats) => {
+        if (
+          !error &&
+          ((maxFiles > 0 && index >= maxFiles) ||
+            (maxAge > 0 && stats.mtimeMs < oldestTime))
+        ) {
+          unlink(filePath, () => {});
+        }
+      });
+    });
+  });
+};
+
+/**
+ * Rotates the log file: renames it to a name with the time of rotation,
+ * compresses it with gzip, if enabled, and removes the rotated files beyond
+ * the retention limits.
+ */
+const rotateLogFile = () => {
+  const filePath = `${logging.dest}${logging.file}`;
+  const time = new Date().toISOString().replace(/[:.]/g, '-');
+
+  // Never overwrite a file rotated at the same time
+  let rotatedPath = `${filePath}.${time}`;
+  for (
+    let i = 1;
+    existsSync(rotatedPath) || existsSync(`${rotatedPath}.gz`);
+    i++
+  ) {
+    rotatedPath = `${filePath}.${time}-${i}`;
+  }
+
+  try {
+    if (existsSync(filePath)) {
+      renameSync(filePath, rotatedPath);
+    }
+  } catch (error) {
+    return console.log(`[logger] Unable to rotate the log file: ${error}`);
+  }
+
+  if (logging.compress) {
+    pipeline(
+      createReadStream(rotatedPath),
+      createGzip(),
+      createWriteStream(`${rotatedPath}.gz`),
+      (error) => {
+        if (error) {
+          return console.log(
+            `[logger] Unable to compress the log file: ${error}`
+          );
+        }
+        unlink(rotatedPath, pruneLogFiles);
+      }
+    );
+  } else {
+    pruneLogFiles();
+  }
+};
+
 /**
  * Logs the provided texts to a file, if file logging is enabled. It creates
  * the necessary directory structure if not already created and appends the
- * content, including an optional prefix, to the specified log file.
+ * content, including an optional prefix, to the specified log file. The file
+ * is rotated first when it would exceed the maximum size, or when a new period
+ * of the time-based rotation starts.
  *
  * @param {string[]} texts - An array of texts to be logged.
- * @param {string} prefix - An optional prefix to be added to each log entry.
+ * @param {string} [prefix] - An optional prefix to be added to each log entry.
  */
 const logToFile = (texts, prefix) => {
+  const filePath = `${logging.dest}${logging.file}`;
+
   if (!logging.pathCreated) {
     // Create if does not exist
     !existsSync(logging.dest) && mkdirSync(logging.dest);
@@ -66,19 +200,62 @@ const logToFile = (texts, prefix) => {
     // We now assume the path is available, e.g. it's the responsibility
     // of the user to create the path with the correct access rights.
     logging.pathCreated = true;
+
+    // Continue with the existing file
+    const stats = existsSync(filePath) && statSync(filePath);
+    logging.fileSize = stats ? stats.size : 0;
+    logging.filePeriod = getRotationPeriod(stats ? stats.mtime : undefined);
+  }
+
+  const content = (prefix ? [prefix] : []).concat(texts).join(' ') + '\n';
+  const contentSize = Buffer.byteLength(content);
+
+  // Rotate the file, if needed
+  const period = getRotationPeriod();
+  if (
+    (logging.maxSize > 0 &&
+      logging.fileSize > 0 &&
+      logging.fileSize + contentSize > logging.maxSize * 1024 * 1024) ||
+    period !== logging.filePeriod
+  ) {
+    rotateLogFile();
+    logging.fileSize = 0;
+    logging.filePeriod = period;
   }
+  logging.fileSize += contentSize;
 
   // Add the content to a file
-  appendFile(
-    `${logging.dest}${logging.file}`,
-    [prefix].concat(texts).join(' ') + '\n',
-    (error) => {
-      if (error) {
-        console.log(`[logger] Unable to write to log file: ${error}`);
-        logging.toFile = false;
-      }
+  appendFile(filePath, content, (error) => {
+    if (error) {
+      console.log(`[logger] Unable to write to log file: ${error}`);
+      logging.toFile = false;
     }
-  );
+  });
+};
+
+/**
+ * Creates a log entry in the JSON format, with the ISO timestamp, the level,
+ * the component (taken from the tag at the start of the message, e.g. [pool]),
+ * the message, and the fields of the current request's context.
+ *
+ * @param {number} level - The log level.
+ * @param {string[]} texts - An array of texts to build a message with.
+ * @param {string} [stack] - An optional stack trace of an error.
+ *
+ * @returns {string} The log entry as a single line of JSON.
+ */
+const createJSONEntry = (level, texts, stack) => {
+  const message = texts.join(' ');
+  const [, component, text] = message.match(/^\[([^\]]+)\]\s*([\s\S]*)$/) || [];
+
+  return JSON.stringify({
+    timestamp: new Date().toISOString(),
+    level: logging.levelsDesc[level - 1].title,
+    component,
+    message: component ? text : message,
+    ...logContext.getStore(),
+    stack
+  });
 };
 
 /**
@@ -114,8 +291,13 @@ export const log = (...args) => {
     fn(prefix, texts.join(' '));
   });
 
+  // Create a JSON entry, if needed
+  const entry = logging.format === 'json' && createJSONEntry(newLevel, texts);
+
   // Log to console
-  if (logging.toConsole) {
+  if (entry && logging.toConsole) {
+    console.log(entry);
+  } else if (logging.toConsole) {
     console.log.apply(
       undefined,
       [prefix.toString()[logging.levelsDesc[newLevel - 1].color]].concat(texts)
@@ -124,7 +306,7 @@ export const log = (...args) => {
 
   // Log to file
   if (logging.toFile) {
-    logToFile(texts, prefix);
+    entry ? logToFile([entry]) : logToFile(texts, prefix);
   }
 };
 
@@ -164,8 +346,15 @@ export const logWithStack = (newLevel, error, customMessage) => {
   // Combine custom message or error message with error stack message
   const texts = [mainMessage, '\n', stackMessage];
 
+  // Create a JSON entry, if needed
+  const entry =
+    logging.format === 'json' &&
+    createJSONEntry(newLevel, [mainMessage], stackMessage);
+
   // Log to console
-  if (logging.toConsole) {
+  if (entry && logging.toConsole) {
+    console.log(entry);
+  } else if (logging.toConsole) {
     console.log.apply(
       undefined,
       [prefix.toString()[logging.levelsDesc[newLevel - 1].color]].concat([
@@ -183,7 +372,34 @@ export const logWithStack = (newLevel, error, customMessage) => {
 
   // Log to file
   if (logging.toFile) {
-    logToFile(texts, prefix);
+    entry ? logToFile([entry]) : logToFile(texts, prefix);
+  }
+};
+
+/**
+ * Runs a function with the fields added to the context of logs, e.g.
+ * the requestId, so all logs of the function and everything it calls, also
+ * asynchronously, contain them. The fields of the outer context are kept.
+ *
+ * @param {Object} context - The fields to add to the context.
+ * @param {Function} fn - The function to run.
+ *
+ * @returns {any} The result of the function.
+ */
+export const runWithLogContext = (context, fn) =>
+  logContext.run({ ...logContext.getStore(), ...context }, fn);
+
+/**
+ * Adds the fields to the context of logs of the function that is currently
+ * run with the runWithLogContext, e.g. the workerId once a worker is acquired.
+ * Does nothing outside of such a function.
+ *
+ * @param {Object} context - The fields to add to the context.
+ */
+export const setLogContext = (context) => {
+  const store = logContext.getStore();
+  if (store) {
+    Object.assign(store, context);
   }
 };
 
@@ -261,5 +477,7 @@ export default {
   setLogLevel,
   enableFileLogging,
   initLogging,
-  listen
+  listen,
+  runWithLogContext,
+  setLogContext
 };
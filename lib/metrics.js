@@ -0,0 +1,228 @@
+/*******************************************************************************
+
+Highcharts Export Server
+
+Copyright (c) 2016-2024, Highsoft
+
+Licenced under the MIT licence.
+
+Additionally a valid Highcharts license is required for use.
+
+See LICENSE file in root for details.
+
+*******************************************************************************/
+
+import { getState } from './instance.js';
+
+// The prefix of all metric names
+const prefix = 'highcharts_export';
+
+// The upper bounds, in seconds, of the latency histogram buckets
+const buckets = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60
+];
+
+// The phases of an export that are measured separately
+const phases = ['acquire', 'render', 'rasterize'];
+
+// The known chart constructors, the other ones are counted as 'other'
+const constructors = ['chart', 'stockChart', 'mapChart', 'ganttChart'];
+
+/**
+ * Retrieves the metrics of the current instance: the export counters,
+ * the latency histograms and the number of browser restarts.
+ *
+ * @returns {Object} The state of the metrics.
+ */
+const getMetricsState = () =>
+  getState('metrics', () => ({
+    // The export counters, keyed by the stringified labels
+    exportCounters: new Map(),
+
+    // The latency histograms, keyed by the phase
+    histograms: new Map(
+      phases.map((phase) => [
+        phase,
+        { counts: new Array(buckets.length).fill(0), sum: 0, count: 0 }
+      ])
+    ),
+
+    // The number of times the browser was launched again after the first
+    // launch
+    browserRestarts: 0
+  }));
+
+/**
+ * Escapes a label value according to the Prometheus text format.
+ *
+ * @param {any} value - The value of a label.
+ *
+ * @returns {string} - The escaped value.
+ */
+const escapeLabel = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+
+/**
+ * Formats the labels of a sample according to the Prometheus text format.
+ *
+ * @param {Object} labels - The object with the label names and values.
+ *
+ * @returns {string} - The formatted labels, or an empty string if there are
+ * none.
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  );
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * Counts a finished export by its type, constructor and outcome. Unknown
+ * constructors are counted as 'other'.
+ *
+ * @param {Object} exportOptions - The export section of the options.
+ * @param {string} outcome - The outcome of the export, either 'success',
+ * 'failure', 'cached', 'cancelled' or 'rejected'.
+ */
+export const recordExport = (exportOptions, outcome) => {
+  const labels = {
+    type: exportOptions?.type || 'unknown',
+    // The constructor comes from the request, so its values are bounded
+    constructor: !exportOptions?.constr
+      ? 'unknown'
+      : constructors.includes(exportOptions.constr)
+        ? exportOptions.constr
+        : 'other',
+    outcome
+  };
+  const key = JSON.stringify(labels);
+
+  const { exportCounters } = getMetricsState();
+  const counter = exportCounters.get(key) || { labels, value: 0 };
+  counter.value++;
+  exportCounters.set(key, counter);
+};
+
+/**
+ * Records the duration of a single phase of an export in the latency
+ * histogram of that phase.
+ *
+ * @param {string} phase - The phase, either 'acquire', 'render'
+ * or 'rasterize'.
+ * @param {number} duration - The duration of the phase, in milliseconds.
+ */
+export const observePhase = (phase, duration) => {
+  const histogram = getMetricsState().histograms.get(phase);
+  if (!histogram || !Number.isFinite(duration)) {
+    return;
+  }
+
+  const seconds = duration / 1000;
+  const index = buckets.findIndex((bound) => seconds <= bound);
+  if (index >= 0) {
+    histogram.counts[index]++;
+  }
+
+  histogram.sum += seconds;
+  histogram.count++;
+};
+
+/**
+ * Counts a restart of the browser instance.
+ */
+export const recordBrowserRestart = () => {
+  getMetricsState().browserRestarts++;
+};
+
+/**
+ * Creates the metrics of the current instance in the Prometheus text exposition
+ * format.
+ *
+ * @param {Object} gauges - The current values of the gauges.
+ * @param {Object} [gauges.pool] - The information about the pool, as returned
+ * by the getPoolInfoJSON function, or undefined if the pool is not available.
+ * @param {string} [gauges.highchartsVersion] - The version of the Highcharts
+ * library in the cache.
+ *
+ * @returns {string} - The metrics in the Prometheus text format.
+ */
+export const getMetrics = ({ pool, highchartsVersion } = {}) => {
+  const { exportCounters, histograms, browserRestarts } = getMetricsState();
+  const lines = [];
+
+  // Export counters
+  lines.push(
+    `# HELP ${prefix}_exports_total The number of finished exports by type, constructor and outcome.`,
+    `# TYPE ${prefix}_exports_total counter`
+  );
+  for (const { labels, value } of exportCounters.values()) {
+    lines.push(`${prefix}_exports_total${formatLabels(labels)} ${value}`);
+  }
+
+  // Latency histograms
+  const histogramName = `${prefix}_phase_duration_seconds`;
+  lines.push(
+    `# HELP ${histogramName} The duration of the acquire, render and rasterize phases of exports.`,
+    `# TYPE ${histogramName} histogram`
+  );
+  for (const [phase, { counts, sum, count }] of histograms) {
+    let cumulative = 0;
+    buckets.forEach((bound, index) => {
+      cumulative += counts[index];
+      lines.push(
+        `${histogramName}_bucket${formatLabels({ phase, le: bound })} ${cumulative}`
+      );
+    });
+    lines.push(
+      `${histogramName}_bucket${formatLabels({ phase, le: '+Inf' })} ${count}`,
+      `${histogramName}_sum${formatLabels({ phase })} ${sum}`,
+      `${histogramName}_count${formatLabels({ phase })} ${count}`
+    );
+  }
+
+  // Pool gauges
+  if (pool) {
+    const poolGauges = {
+      min: 'The minimum number of workers allowed by the pool.',
+      max: 'The maximum number of workers allowed by the pool.',
+      all: 'The number of all created workers.',
+      available: 'The number of available workers.',
+      used: 'The number of acquired workers.',
+      pending: 'The number of requests waiting to acquire a worker.'
+    };
+    for (const [key, help] of Object.entries(poolGauges)) {
+      lines.push(
+        `# HELP ${prefix}_pool_${key}_workers ${help}`,
+        `# TYPE ${prefix}_pool_${key}_workers gauge`,
+        `${prefix}_pool_${key}_workers ${pool[key] ?? 0}`
+      );
+    }
+  }
+
+  // Browser restarts
+  lines.push(
+    `# HELP ${prefix}_browser_restarts_total The number of browser restarts.`,
+    `# TYPE ${prefix}_browser_restarts_total counter`,
+    `${prefix}_browser_restarts_total ${browserRestarts}`
+  );
+
+  // Cache version
+  lines.push(
+    `# HELP ${prefix}_cache_info The version of the Highcharts library in the cache.`,
+    `# TYPE ${prefix}_cache_info gauge`,
+    `${prefix}_cache_info${formatLabels({ version: highchartsVersion || 'unknown' })} 1`
+  );
+
+  return lines.join('\n') + '\n';
+};
+
+export default {
+  recordExport,
+  observePhase,
+  recordBrowserRestart,
+  getMetrics
+};
@@ -0,0 +1,217 @@
+/*******************************************************************************
+
+Highcharts Export Server
+
+Copyright (c) 2016-2024, Highsoft
+
+Licenced under the MIT licence.
+
+Additionally a valid Highcharts license is required for use.
+
+See LICENSE file in root for details.
+
+*******************************************************************************/
+
+// The network guard checks the requests made by the worker pages (e.g. images,
+// map data, data.csvURL, resources' files and CSS imports) against the network
+// options, in order to prevent Server-Side Request Forgery.
+
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+
+import { getOptions } from './config.js';
+import { log, logWithStack } from './logger.js';
+
+// The schemes of requests that never leave the browser
+const localSchemes = ['data:', 'blob:', 'about:'];
+
+// The private, loopback, link-local and other reserved ranges
+const privateRanges = new BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) =>
+  privateRanges.addSubnet(network, prefix, 'ipv4')
+);
+[
+  // The unspecified, loopback and IPv4-compatible addresses
+  ['::', 96],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['2002::', 16],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) =>
+  privateRanges.addSubnet(network, prefix, 'ipv6')
+);
+
+/**
+ * Checks if an IP address belongs to one of the private, loopback, link-local
+ * or other reserved ranges.
+ *
+ * @param {string} address - The IPv4 or IPv6 address.
+ *
+ * @returns {boolean} - True if the address is private, false otherwise.
+ */
+export const isPrivateAddress = (address) => {
+  // Check the IPv4-mapped IPv6 addresses as IPv4 ones
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return isPrivateAddress(mapped[1]);
+  }
+
+  const family = isIP(address);
+  return family
+    ? privateRanges.check(address, family === 4 ? 'ipv4' : 'ipv6')
+    : false;
+};
+
+/**
+ * Checks if a hostname is equal to one of the hosts from the list or is one
+ * of their subdomains.
+ *
+ * @param {string} hostname - The hostname to check.
+ * @param {Array<string>} hosts - The list of hosts.
+ *
+ * @returns {boolean} - True if the hostname matches the list, false otherwise.
+ */
+export const matchesHosts = (hostname, hosts = []) =>
+  hosts.some((host) => {
+    host = host.toLowerCase().replace(/^\*?\./, '');
+    return hostname === host || hostname.endsWith(`.${host}`);
+  });
+
+/**
+ * Checks a URL requested by a worker page against the network options.
+ *
+ * @param {string} url - The requested URL.
+ * @param {Object} networkOptions - The network section of the options.
+ *
+ * @returns {Promise<(string|false)>} - A Promise resolving to the reason
+ * of blocking the request, or false if the request is allowed.
+ */
+export const getBlockReason = async (url, networkOptions) => {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch {
+    return 'the URL is invalid';
+  }
+
+  const { protocol } = parsedUrl;
+  if (localSchemes.includes(protocol)) {
+    return false;
+  }
+
+  if (!['http:', 'https:'].includes(protocol)) {
+    return `the ${protocol} scheme is not allowed`;
+  }
+
+  if (!networkOptions.allowOutbound) {
+    return 'the outbound network is disabled';
+  }
+
+  // Remove the brackets of IPv6 addresses and the trailing dot of FQDNs
+  const hostname = parsedUrl.hostname
+    .toLowerCase()
+    .replace(/^\[|\]$/g, '')
+    .replace(/\.$/, '');
+
+  if (matchesHosts(hostname, networkOptions.deniedHosts)) {
+    return 'the host is denied';
+  }
+
+  if (
+    networkOptions.allowedHosts?.length &&
+    !matchesHosts(hostname, networkOptions.allowedHosts)
+  ) {
+    return 'the host is not allowed';
+  }
+
+  if (networkOptions.blockPrivateIps) {
+    let addresses;
+    if (isIP(hostname)) {
+      addresses = [hostname];
+    } else {
+      try {
+        addresses = (await lookup(hostname, { all: true })).map(
+          ({ address }) => address
+        );
+      } catch {
+        return 'the host cannot be resolved';
+      }
+    }
+
+    const privateAddress = addresses.find(isPrivateAddress);
+    if (privateAddress) {
+      return `the host resolves to the private address ${privateAddress}`;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Enables the interception of requests made by a page. Each request is checked
+ * against the current network options and either continued or aborted.
+ *
+ * @param {Object} page - The Puppeteer Page object.
+ *
+ * @returns {Promise<void>} - A Promise that resolves once the interception
+ * is set up.
+ */
+export const setRequestInterception = async (page) => {
+  if (!getOptions().network?.interception) {
+    return;
+  }
+
+  await page.setRequestInterception(true);
+
+  page.on('request', async (request) => {
+    if (request.isInterceptResolutionHandled()) {
+      return;
+    }
+
+    try {
+      const url = request.url();
+      const reason = await getBlockReason(url, getOptions().network);
+
+      if (reason) {
+        log(
+          2,
+          `[network] Blocked a ${request.resourceType()} request to ${url.substring(0, 200)}: ${reason}.`
+        );
+        return await request.abort('blockedbyclient');
+      }
+
+      await request.continue();
+    } catch (error) {
+      logWithStack(
+        2,
+        error,
+        '[network] Could not resolve an intercepted request.'
+      );
+    }
+  });
+};
+
+export default {
+  isPrivateAddress,
+  matchesHosts,
+  getBlockReason,
+  setRequestInterception
+};
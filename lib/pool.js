@@ -18,29 +18,168 @@ import { v4 as uuid } from 'uuid';
 import {
   create as createBrowser,
   close as closeBrowser,
+  addRestartListener,
   newPage,
   clearPage
 } from './browser.js';
+import { getCache, getVersionCache } from './cache.js';
 import puppeteerExport from './export.js';
-import { log, logWithStack } from './logger.js';
+import { getState } from './instance.js';
+import {
+  defaultPriority,
+  enterLane,
+  getLanesInfo,
+  initLanes,
+  leaveLane
+} from './lanes.js';
+import { log, logWithStack, setLogContext } from './logger.js';
+import { observePhase, recordExport } from './metrics.js';
+import { getResult, getResultKey, setResult } from './result_cache.js';
+import { withSpan } from './tracing.js';
 import { measureTime } from './utils.js';
 
 import ExportError from './errors/ExportError.js';
+import HttpError from './errors/HttpError.js';
+
+/**
+ * Retrieves the state of the pool in the current instance: the pool itself,
+ * its config and the statistics.
+ *
+ * @returns {Object} The state of the pool.
+ */
+const getPoolState = () =>
+  getState('pool', () => ({
+    // The pool instance
+    pool: false,
+
+    // Pool statistics
+    stats: {
+      performedExports: 0,
+      exportAttempts: 0,
+      exportFromSvgAttempts: 0,
+      timeSpent: 0,
+      droppedExports: 0,
+      cancelledExports: 0,
+      rejectedExports: 0,
+      crashedExports: 0,
+      recycledWorkers: 0,
+      spentAverage: 0
+    },
+
+    // The throughput of the pool, recalculated periodically
+    throughput: {
+      since: Date.now(),
+      count: 0,
+      rate: 0
+    },
 
-// The pool instance
-let pool = false;
-
-// Pool statistics
-export const stats = {
-  performedExports: 0,
-  exportAttempts: 0,
-  exportFromSvgAttempts: 0,
-  timeSpent: 0,
-  droppedExports: 0,
-  spentAverage: 0
+    poolConfig: {},
+
+    // The number of exports and other work in progress, and whether the pool
+    // is draining them before shutting down, along with the callback
+    // of the drain
+    activeExports: 0,
+    draining: false,
+    onDrained: null
+  }));
+
+// How often to recalculate the throughput of the pool
+const throughputWindow = 10 * 1000;
+
+// The maximum number of seconds sent in the Retry-After header
+const maxRetryAfter = 60;
+
+/**
+ * Counts a finished export for measuring the throughput of the pool, which
+ * is recalculated once per the throughput window.
+ */
+const recordThroughput = () => {
+  const { throughput } = getPoolState();
+  const now = Date.now();
+  const elapsed = now - throughput.since;
+
+  throughput.count++;
+  if (elapsed >= throughputWindow) {
+    throughput.rate = (throughput.count * 1000) / elapsed;
+    throughput.count = 0;
+    throughput.since = now;
+  }
+};
+
+/**
+ * Retrieves the number of exports waiting for a worker, either in the lanes
+ * or for the pool to provide the worker.
+ *
+ * @returns {number} The depth of the queue.
+ */
+const getQueueDepth = () => {
+  const { pool } = getPoolState();
+  return (
+    Object.values(getLanesInfo()).reduce((sum, count) => sum + count, 0) +
+    (pool ? pool.numPendingAcquires() : 0)
+  );
 };
 
-let poolConfig = {};
+/**
+ * Estimates the number of seconds after which a rejected export is likely
+ * to get a worker, based on the current throughput of the pool.
+ *
+ * @param {number} queueDepth - The number of exports waiting for a worker.
+ *
+ * @returns {number} The number of seconds, between 1 and the maxRetryAfter.
+ */
+const getRetryAfter = (queueDepth) => {
+  const { pool, stats, throughput } = getPoolState();
+
+  // The exports per second, either measured recently or estimated from
+  // the average time of an export
+  const rate =
+    throughput.rate ||
+    (stats.spentAverage ? (pool.max * 1000) / stats.spentAverage : 0);
+
+  return rate
+    ? Math.min(Math.max(Math.ceil((queueDepth + 1) / rate), 1), maxRetryAfter)
+    : 1;
+};
+
+/**
+ * Measures the resources used by a worker after an export: the size of its
+ * page's JS heap and the number of DOM nodes (through the CDP metrics), and
+ * the total time spent on rendering. When any of them crosses its limit,
+ * the reason is saved, and the worker fails its next validation, which
+ * restarts it.
+ *
+ * @param {Object} workerHandle - The handle to the worker, containing
+ * the worker's ID and a reference to the browser page.
+ * @param {number} renderTime - The time of the export, in milliseconds.
+ */
+const measureWorker = async (workerHandle, renderTime) => {
+  const { maxHeapSize, maxDomNodes, maxRenderTime } = getPoolState().poolConfig;
+  workerHandle.renderTime += renderTime;
+
+  if (maxHeapSize > 0 || maxDomNodes > 0) {
+    try {
+      const { JSHeapUsedSize, Nodes } = await workerHandle.page.metrics();
+      workerHandle.heapSize = JSHeapUsedSize;
+      workerHandle.domNodes = Nodes;
+    } catch (error) {
+      logWithStack(
+        2,
+        error,
+        `[pool] Could not measure the worker with ID ${workerHandle.id}.`
+      );
+    }
+  }
+
+  const heapSize = Math.round(workerHandle.heapSize / 1024 / 1024);
+  if (maxHeapSize > 0 && heapSize > maxHeapSize) {
+    workerHandle.recycleReason = `its JS heap size of ${heapSize}MB exceeded the limit (limit is ${maxHeapSize}MB)`;
+  } else if (maxDomNodes > 0 && workerHandle.domNodes > maxDomNodes) {
+    workerHandle.recycleReason = `its ${workerHandle.domNodes} DOM nodes exceeded the limit (limit is ${maxDomNodes})`;
+  } else if (maxRenderTime > 0 && workerHandle.renderTime > maxRenderTime) {
+    workerHandle.recycleReason = `its total render time of ${Math.round(workerHandle.renderTime)}ms exceeded the limit (limit is ${maxRenderTime}ms)`;
+  }
+};
 
 const factory = {
   /**
@@ -80,13 +219,22 @@ const factory = {
     return {
       id,
       page,
+      // The version of Highcharts loaded in the page
+      hcVersion: getCache().hcVersion,
+      // The resources used by the page, measured after every export
+      heapSize: 0,
+      domNodes: 0,
+      renderTime: 0,
       // Try to distribute the initial work count
-      workCount: Math.round(Math.random() * (poolConfig.workLimit / 2))
+      workCount: Math.round(
+        Math.random() * (getPoolState().poolConfig.workLimit / 2)
+      )
     };
   },
 
   /**
-   * Validates a worker page in the export pool, checking if it has exceeded
+   * Validates a worker page in the export pool, checking if its browser
+   * is still connected, if it uses too many resources, and if it has exceeded
    * the work limit.
    *
    * @param {Object} workerHandle - The handle to the worker, containing the
@@ -112,6 +260,19 @@ const factory = {
       return false;
     }
 
+    // The worker is re-created in a connected browser
+    if (!workerHandle.page.browser().connected) {
+      log(3, `[pool] Worker failed validation: its browser is disconnected.`);
+      return false;
+    }
+
+    const { poolConfig, stats } = getPoolState();
+    if (workerHandle.recycleReason) {
+      ++stats.recycledWorkers;
+      log(3, `[pool] Worker failed validation: ${workerHandle.recycleReason}.`);
+      return false;
+    }
+
     if (
       poolConfig.workLimit &&
       ++workerHandle.workCount > poolConfig.workLimit
@@ -134,7 +295,11 @@ const factory = {
   destroy: async (workerHandle) => {
     log(3, `[pool] Destroying pool entry ${workerHandle.id}.`);
 
-    if (workerHandle.page && !workerHandle.page.isClosed()) {
+    if (
+      workerHandle.page &&
+      !workerHandle.page.isClosed() &&
+      workerHandle.page.browser().connected
+    ) {
       await workerHandle.page.close();
     }
   }
@@ -142,6 +307,55 @@ const factory = {
   // log: (message, level) => log(1, '[tarn] ' +  message)
 };
 
+/**
+ * Resets a worker whose page may still be busy with a cancelled export.
+ * The page is closed right away, which stops the rendering, and the pool
+ * replaces it with a new one when the worker is acquired next time.
+ *
+ * @param {Object} workerHandle - The handle to the worker, containing
+ * the worker's ID and a reference to the browser page.
+ */
+const resetWorker = (workerHandle) => {
+  const { page } = workerHandle;
+  workerHandle.page = null;
+
+  page
+    ?.close()
+    .catch((error) =>
+      logWithStack(
+        2,
+        error,
+        `[pool] Could not close the page of the worker with ID ${workerHandle.id}.`
+      )
+    );
+};
+
+/**
+ * Rebuilds the workers after a browser is launched again following a crash.
+ * All free workers are acquired at once, which validates them, so the ones
+ * with pages of the crashed browser are destroyed and created anew, and then
+ * released back to the pool.
+ */
+const rebuildWorkers = async () => {
+  const { pool } = getPoolState();
+  if (!pool || pool.destroyed) {
+    return;
+  }
+
+  const acquires = Array.from({ length: pool.numFree() }, () => pool.acquire());
+  let rebuilt = 0;
+  for (const { status, value } of await Promise.allSettled(
+    acquires.map(({ promise }) => promise)
+  )) {
+    if (status === 'fulfilled') {
+      pool.release(value);
+      rebuilt++;
+    }
+  }
+
+  log(3, `[pool] Rebuilt the workers after a browser restart: ${rebuilt}.`);
+};
+
 /**
  * Initializes the export pool with the provided configuration, creating
  * a browser instance and setting up worker resources.
@@ -150,18 +364,21 @@ const factory = {
  * with custom puppeteer arguments for the puppeteer.launch function.
  */
 export const initPool = async (config) => {
+  const state = getPoolState();
+
   // For the module scope usage
-  poolConfig = config && config.pool ? { ...config.pool } : {};
+  const poolConfig = (state.poolConfig =
+    config && config.pool ? { ...config.pool } : {});
 
-  // Create a browser instance with the puppeteer arguments
-  await createBrowser(config.puppeteerArgs);
+  // Create the browser instances with the puppeteer arguments
+  await createBrowser(config.puppeteerArgs, poolConfig.browsers);
 
   log(
     3,
     `[pool] Initializing pool with workers: min ${poolConfig.minWorkers}, max ${poolConfig.maxWorkers}.`
   );
 
-  if (pool) {
+  if (state.pool) {
     return log(
       4,
       '[pool] Already initialized, please kill it before creating a new one.'
@@ -172,9 +389,16 @@ export const initPool = async (config) => {
     poolConfig.minWorkers = poolConfig.maxWorkers;
   }
 
+  // As many exports as there are workers may use them at the same time
+  initLanes(poolConfig.maxWorkers, {
+    high: poolConfig.highPriorityWeight,
+    normal: poolConfig.normalPriorityWeight,
+    bulk: poolConfig.bulkPriorityWeight
+  });
+
   try {
     // Create a pool along with a minimal number of resources
-    pool = new Pool({
+    const pool = (state.pool = new Pool({
       // Get the create/validate/destroy/log functions
       ...factory,
       min: parseInt(poolConfig.minWorkers),
@@ -186,7 +410,7 @@ export const initPool = async (config) => {
       createRetryIntervalMillis: poolConfig.createRetryInterval,
       reapIntervalMillis: poolConfig.reaperInterval,
       propagateCreateError: false
-    });
+    }));
 
     // Set events
     pool.on('release', async (resource) => {
@@ -203,6 +427,9 @@ export const initPool = async (config) => {
       resource.page = null;
     });
 
+    // Replace the workers of a crashed browser as soon as it is back
+    state.removeRestartListener = addRestartListener(rebuildWorkers);
+
     const initialResources = [];
     // Create an initial number of resources
     for (let i = 0; i < poolConfig.minWorkers; i++) {
@@ -230,6 +457,168 @@ export const initPool = async (config) => {
   }
 };
 
+/**
+ * Changes the minimum and maximum number of workers of a running pool.
+ * The missing workers up to the new minimum are created right away, while
+ * the free workers above the new maximum are destroyed once they are idle
+ * for longer than the idle timeout.
+ *
+ * @param {number} minWorkers - The new minimum number of workers.
+ * @param {number} maxWorkers - The new maximum number of workers.
+ *
+ * @returns {Promise<void>} A promise that resolves once the missing workers
+ * are created.
+ */
+export const resizePool = async (minWorkers, maxWorkers) => {
+  const { pool, poolConfig } = getPoolState();
+
+  poolConfig.maxWorkers = parseInt(maxWorkers);
+  poolConfig.minWorkers = Math.min(parseInt(minWorkers), poolConfig.maxWorkers);
+
+  if (!pool || pool.destroyed) {
+    return;
+  }
+
+  pool.min = poolConfig.minWorkers;
+  pool.max = poolConfig.maxWorkers;
+
+  // As many exports as there are workers may use them at the same time
+  initLanes(poolConfig.maxWorkers, {
+    high: poolConfig.highPriorityWeight,
+    normal: poolConfig.normalPriorityWeight,
+    bulk: poolConfig.bulkPriorityWeight
+  });
+
+  // Create the missing workers by acquiring them along with the free ones,
+  // as the free ones would be acquired first otherwise
+  const missing =
+    pool.min - pool.numUsed() - pool.numFree() - pool.numPendingCreates();
+  if (missing > 0) {
+    const acquires = Array.from({ length: pool.numFree() + missing }, () =>
+      pool.acquire()
+    );
+    for (const { status, value } of await Promise.allSettled(
+      acquires.map(({ promise }) => promise)
+    )) {
+      if (status === 'fulfilled') {
+        pool.release(value);
+      }
+    }
+  }
+
+  log(
+    3,
+    `[pool] Resized the pool of workers: min ${pool.min}, max ${pool.max}.`
+  );
+};
+
+/**
+ * Creates the error of the exports and other work rejected while the pool
+ * is draining.
+ *
+ * @returns {HttpError} The HttpError with the 503 status code and the time
+ * of retrying.
+ */
+const createDrainingError = () =>
+  new HttpError('The server is shutting down. Please try again.', 503)
+    .setRetryAfter(1)
+    .setExpected();
+
+/**
+ * Marks a piece of work as finished, and lets the draining pool know once
+ * the last one is done.
+ *
+ * @param {Object} state - The state of the pool.
+ */
+const finishWork = (state) => {
+  if (!--state.activeExports) {
+    state.onDrained?.();
+  }
+};
+
+/**
+ * Counts a piece of work, such as an export request, a batch or a job, which
+ * the draining pool waits for along with the exports in progress. This covers
+ * the parts of the work done outside of the pool, e.g. running the request
+ * hooks, waiting for the turn of the next batch item, or sending the result.
+ *
+ * @returns {function} The function to call once the work is finished. Calling
+ * it more than once has no effect.
+ *
+ * @throws {HttpError} Throws an HttpError with the 503 status code if the pool
+ * is draining.
+ */
+export const trackWork = () => {
+  const state = getPoolState();
+  if (state.draining) {
+    throw createDrainingError();
+  }
+
+  ++state.activeExports;
+  let finished = false;
+  return () => {
+    if (!finished) {
+      finished = true;
+      finishWork(state);
+    }
+  };
+};
+
+/**
+ * Stops the pool from starting new exports and waits for the exports
+ * in progress, along with the work counted with the trackWork function (e.g.
+ * the batches and the jobs), to finish, but no longer than the grace period.
+ * The new exports and jobs are rejected as retryable in the meantime.
+ *
+ * @param {number} gracePeriod - The maximum time to wait, in milliseconds.
+ *
+ * @returns {Promise<boolean>} A promise that resolves to true if all work
+ * finished within the grace period, false otherwise.
+ */
+export const drainPool = async (gracePeriod) => {
+  const state = getPoolState();
+  state.draining = true;
+
+  if (!state.activeExports) {
+    return true;
+  }
+
+  log(
+    3,
+    `[pool] Waiting up to ${gracePeriod}ms for the exports and jobs in progress to finish.`
+  );
+
+  const drained = await new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(false), gracePeriod);
+    state.onDrained = () => {
+      clearTimeout(timer);
+      resolve(true);
+    };
+  });
+  state.onDrained = null;
+
+  if (drained) {
+    log(3, '[pool] All exports and jobs in progress finished.');
+  } else {
+    log(
+      2,
+      '[pool] The grace period ended with exports or jobs still in progress.'
+    );
+  }
+  return drained;
+};
+
+/**
+ * Checks if the pool is ready to take new exports, i.e. it is started and
+ * not draining.
+ *
+ * @returns {boolean} True if the pool is ready, false otherwise.
+ */
+export const isPoolReady = () => {
+  const { pool, draining } = getPoolState();
+  return !!pool && !pool.destroyed && !draining;
+};
+
 /**
  * Kills all workers in the pool, destroys the pool, and closes the browser
  * instance.
@@ -240,6 +629,12 @@ export const initPool = async (config) => {
 export async function killPool() {
   log(3, '[pool] Killing pool with all workers and closing browser.');
 
+  const state = getPoolState();
+  const { pool } = state;
+
+  // Stop rebuilding the workers after browser restarts
+  state.removeRestartListener?.();
+
   // If still alive, destroy the pool of pages before closing a browser
   if (pool) {
     // Free up not released workers
@@ -261,22 +656,82 @@ export async function killPool() {
 /**
  * Processes the export work using a worker from the pool. Acquires a worker
  * handle from the pool, performs the export using puppeteer, and releases
- * the worker handle back to the pool.
+ * the worker handle back to the pool. Identical exports are served from
+ * the result cache, if enabled, without acquiring a worker, and the exports
+ * whose results the client already has (checked with the isNotModified
+ * function passed in the payload) are not performed at all. An export
+ * cancelled with the abort signal passed in the payload of the options stops
+ * right away and releases its worker. The exports wait for workers in the lanes
+ * of their priorities (passed in the payload). When too many exports wait for
+ * a worker, or an export waits for too long, it is rejected with an HttpError
+ * with the 503 status code and the suggested time of retrying, as are the new
+ * exports while the pool is draining.
  *
  * @param {string} chart - The chart data or configuration to be exported.
  * @param {Object} options - Export options and configuration.
  *
- * @returns {Promise<Object>} A promise that resolves with the export resultand
- * options.
+ * @returns {Promise<Object>} A promise that resolves with the export result,
+ * options and the key of the result, or with the notModified flag instead
+ * of the result.
  *
  * @throws {ExportError} If an error occurs during the export process.
  */
 export const postWork = async (chart, options) => {
+  const state = getPoolState();
+  const { pool, poolConfig, stats } = state;
+  const signal = options.payload?.signal;
   let workerHandle;
+  let rejected = false;
+  let inLane = false;
 
+  ++state.activeExports;
   try {
     log(4, '[pool] Work received, starting to process.');
 
+    // Do not start new exports once the pool drains before shutting down
+    if (state.draining) {
+      rejected = true;
+      throw createDrainingError();
+    }
+
+    // Do not start an export that is already cancelled
+    if (signal?.aborted) {
+      throw new ExportError('The export was cancelled.');
+    }
+
+    // Get the cache of the requested Highcharts version
+    const { highchartsVersion } = options.export;
+    const versionCache = getVersionCache(highchartsVersion);
+    if (!versionCache) {
+      throw new ExportError(
+        `The Highcharts version ${highchartsVersion} is not available in the cache.`
+      );
+    }
+
+    // Skip an export whose result the client already has
+    const resultKey = getResultKey(chart, options, versionCache.hcVersion);
+    if (options.payload?.isNotModified?.(resultKey)) {
+      log(4, `[pool] The client already has the result ${resultKey}.`);
+      recordExport(options.export, 'cached');
+      return {
+        options,
+        resultKey,
+        notModified: true
+      };
+    }
+
+    // Serve an identical export from the result cache
+    const cachedResult = await getResult(resultKey);
+    if (cachedResult !== undefined) {
+      log(4, `[pool] Served the result ${resultKey} from the result cache.`);
+      recordExport(options.export, 'cached');
+      return {
+        result: cachedResult,
+        options,
+        resultKey
+      };
+    }
+
     ++stats.exportAttempts;
     if (poolConfig.benchmarking) {
       getPoolInfo();
@@ -286,11 +741,68 @@ export const postWork = async (chart, options) => {
       throw new ExportError('Work received, but pool has not been started.');
     }
 
-    // Acquire the worker along with the id of resource and work count
+    // Reject the export right away when too many exports wait for a worker
+    const queueDepth = getQueueDepth();
+    if (poolConfig.maxQueueSize > 0 && queueDepth >= poolConfig.maxQueueSize) {
+      rejected = true;
+      throw new HttpError(
+        `Too many exports are waiting for a worker at the moment (the limit is ${poolConfig.maxQueueSize}). Please try again later.`,
+        503
+      )
+        .setRetryAfter(getRetryAfter(queueDepth))
+        .setExpected();
+    }
+
+    // Wait for the turn in the lane of the export's priority, then acquire
+    // the worker along with the id of resource and work count
     const acquireCounter = measureTime();
+    const queueWait = poolConfig.maxQueueWait || poolConfig.acquireTimeout;
     try {
       log(4, '[pool] Acquiring a worker handle.');
-      workerHandle = await pool.acquire().promise;
+      let lane, acquire;
+
+      // Stop waiting for a worker when the export is cancelled or waits
+      // for longer than allowed
+      const abortWaiting = () => {
+        lane?.abort();
+        acquire?.abort();
+      };
+      signal?.addEventListener('abort', abortWaiting, { once: true });
+      const queueTimer =
+        queueWait > 0 &&
+        setTimeout(() => {
+          rejected = true;
+          abortWaiting();
+        }, queueWait);
+
+      try {
+        workerHandle = await withSpan(
+          'pool.acquire',
+          async (span) => {
+            lane = enterLane(options.payload?.priority);
+            await lane.promise;
+            inLane = true;
+
+            // The export might have stopped waiting right as its turn came
+            if (signal?.aborted || rejected) {
+              throw new ExportError('Stopped waiting in the lane.');
+            }
+
+            acquire = pool.acquire();
+            const handle = await acquire.promise;
+            span.setAttribute('pool.worker_id', handle.id);
+            return handle;
+          },
+          {
+            'export.priority': options.payload?.priority || defaultPriority,
+            'pool.queue_depth': queueDepth
+          }
+        );
+      } finally {
+        clearTimeout(queueTimer);
+        signal?.removeEventListener('abort', abortWaiting);
+      }
+      observePhase('acquire', acquireCounter());
 
       // Check the page acquire time
       if (options.server.benchmarking) {
@@ -303,6 +815,15 @@ export const postWork = async (chart, options) => {
         );
       }
     } catch (error) {
+      if (rejected) {
+        throw new HttpError(
+          `The export waited for a worker for longer than ${queueWait}ms. Please try again later.`,
+          503
+        )
+          .setRetryAfter(getRetryAfter(getQueueDepth()))
+          .setExpected();
+      }
+
       throw new ExportError(
         (options.payload?.requestId
           ? `For request with ID ${options.payload?.requestId} - `
@@ -312,12 +833,34 @@ export const postWork = async (chart, options) => {
     }
     log(4, '[pool] Acquired a worker handle.');
 
+    // Add the worker's ID to the rest of logs of the export
+    setLogContext({ workerId: workerHandle.id });
+
+    // Inform the caller that the work is being processed, if requested
+    options.payload?.onProgress?.('processing');
+
     if (!workerHandle.page) {
       throw new ExportError(
         'Resolved worker page is invalid: the pool setup is wonky.'
       );
     }
 
+    // Reload the page if it has a different version of Highcharts loaded
+    if (workerHandle.hcVersion !== versionCache.hcVersion) {
+      log(
+        4,
+        `[pool] Loading ${versionCache.hcVersion} in the pool entry with ID ${workerHandle.id}.`
+      );
+
+      workerHandle.hcVersion = false;
+      if (!(await clearPage(workerHandle.page, true, versionCache))) {
+        throw new ExportError(
+          `Could not load the Highcharts version ${highchartsVersion} in the page.`
+        );
+      }
+      workerHandle.hcVersion = versionCache.hcVersion;
+    }
+
     // Save the start time
     let workStart = new Date().getTime();
 
@@ -329,6 +872,12 @@ export const postWork = async (chart, options) => {
 
     // Check if it's an error
     if (result instanceof Error) {
+      // The page may still be busy with the cancelled export
+      if (signal?.aborted) {
+        resetWorker(workerHandle);
+        throw result;
+      }
+
       // NOTE: If there's a rasterization timeout, we want need to flush the page.
       //       This is because the page may be in a state where it's waiting for
       //       the screenshot to finish even though the timeout has occured.
@@ -371,6 +920,9 @@ export const postWork = async (chart, options) => {
       );
     }
 
+    // Check if the worker should be restarted for using too many resources
+    await measureWorker(workerHandle, exportCounter());
+
     // Release the resource back to the pool
     pool.release(workerHandle);
 
@@ -380,34 +932,104 @@ export const postWork = async (chart, options) => {
     const exportTime = workEnd - workStart;
     stats.timeSpent += exportTime;
     stats.spentAverage = stats.timeSpent / ++stats.performedExports;
+    recordThroughput();
 
     log(4, `[pool] Work completed in ${exportTime} ms.`);
+    recordExport(options.export, 'success');
+
+    // Store the result for identical exports
+    setResult(resultKey, result);
 
     // Otherwise return the result
     return {
       result,
-      options
+      options,
+      resultKey
     };
   } catch (error) {
-    ++stats.droppedExports;
+    let failure = error;
+
+    // The cancelled exports are not counted as failed
+    if (signal?.aborted) {
+      ++stats.cancelledExports;
+      recordExport(options.export, 'cancelled');
+      log(
+        3,
+        `[pool] The export${
+          options.payload?.requestId
+            ? ` of the request with ID ${options.payload?.requestId}`
+            : ''
+        } was cancelled.`
+      );
+    } else if (rejected) {
+      ++stats.rejectedExports;
+      recordExport(options.export, 'rejected');
+    } else if (workerHandle?.page && !workerHandle.page.browser().connected) {
+      // The browser crashed during the export, which may be safely retried
+      ++stats.droppedExports;
+      ++stats.crashedExports;
+      recordExport(options.export, 'failure');
+      failure = new HttpError(
+        'The browser crashed during the export. Please try again.',
+        503
+      )
+        .setError(error)
+        .setRetryAfter(getRetryAfter(getQueueDepth()));
+    } else {
+      ++stats.droppedExports;
+      recordExport(options.export, 'failure');
+    }
 
     if (workerHandle) {
       pool.release(workerHandle);
     }
 
-    throw new ExportError(`[pool] In pool.postWork: ${error.message}`).setError(
-      error
-    );
+    throw new ExportError(
+      `[pool] In pool.postWork: ${failure.message}`
+    ).setError(failure);
+  } finally {
+    // Let the next waiting export in
+    if (inLane) {
+      leaveLane();
+    }
+
+    finishWork(state);
   }
 };
 
+/**
+ * Retrieves the statistics of the pool.
+ *
+ * @returns {Object} The statistics of the exports performed by the pool.
+ */
+export const getStats = () => getPoolState().stats;
+
 /**
  * Retrieves the current pool instance.
  *
  * @returns {Object|null} The current pool instance if initialized, or null
  * if the pool has not been created.
  */
-export const getPool = () => pool;
+export const getPool = () => getPoolState().pool;
+
+/**
+ * Retrieves the information about the queue of exports waiting for a worker
+ * in JSON format, including its depth (in total and in every lane) and limits,
+ * the number of rejected exports and the current throughput of the pool.
+ *
+ * @returns {Object} Queue information in JSON format.
+ */
+export const getQueueInfoJSON = () => {
+  const { pool, poolConfig, stats, throughput } = getPoolState();
+  return {
+    depth: getQueueDepth(),
+    lanes: getLanesInfo(),
+    maxSize: poolConfig.maxQueueSize,
+    maxWait: poolConfig.maxQueueWait,
+    rejected: stats.rejectedExports,
+    throughput: throughput.rate
+  };
+};
 
 /**
  * Retrieves pool information in JSON format, including minimum and maximum
@@ -415,14 +1037,17 @@ export const getPool = () => pool;
  *
  * @returns {Object} Pool information in JSON format.
  */
-export const getPoolInfoJSON = () => ({
-  min: pool.min,
-  max: pool.max,
-  all: pool.numFree() + pool.numUsed(),
-  available: pool.numFree(),
-  used: pool.numUsed(),
-  pending: pool.numPendingAcquires()
-});
+export const getPoolInfoJSON = () => {
+  const { pool } = getPoolState();
+  return {
+    min: pool.min,
+    max: pool.max,
+    all: pool.numFree() + pool.numUsed(),
+    available: pool.numFree(),
+    used: pool.numUsed(),
+    pending: pool.numPendingAcquires()
+  };
+};
 
 /**
  * Logs information about the current state of the pool, including the minimum
@@ -442,10 +1067,15 @@ export function getPoolInfo() {
 
 export default {
   initPool,
+  resizePool,
+  trackWork,
+  drainPool,
+  isPoolReady,
   killPool,
   postWork,
   getPool,
   getPoolInfo,
   getPoolInfoJSON,
-  getStats: () => stats
+  getQueueInfoJSON,
+  getStats
 };
@@ -0,0 +1,172 @@
+/*******************************************************************************
+
+Highcharts Export Server
+
+Copyright (c) 2016-2024, Highsoft
+
+Licenced under the MIT licence.
+
+Additionally a valid Highcharts license is required for use.
+
+See LICENSE file in root for details.
+
+*******************************************************************************/
+
+// Reloading the options applies the changes of the custom JSON file and
+// the .env file to the running server. Only the options that are read
+// on every use, or whose users can be updated on the fly, are applied. The
+// changes of the other options are rejected, as they require a restart.
+
+import { getOptions, loadOptions } from './config.js';
+import { reloadEnvs, restoreEnvs } from './envs.js';
+import { log, setLogLevel } from './logger.js';
+import { resizePool } from './pool.js';
+import { updateRateLimiting } from './server/rate_limit.js';
+import { isObject } from './utils.js';
+
+import ExportError from './errors/ExportError.js';
+
+// The options, along with the nested ones, that can be changed live
+const liveOptions = [
+  'logging.level',
+  'server.rateLimiting',
+  'export',
+  'pool.minWorkers',
+  'pool.maxWorkers'
+];
+
+/**
+ * Checks if an option can be changed without restarting the server.
+ *
+ * @param {string} path - The dot-separated path of the option.
+ *
+ * @returns {boolean} True if the option can be changed live, false
+ * otherwise.
+ */
+const isLiveOption = (path) =>
+  liveOptions.some(
+    (option) => path === option || path.startsWith(`${option}.`)
+  );
+
+/**
+ * Finds the options that differ between two sets of options.
+ *
+ * @param {Object} options - The current options.
+ * @param {Object} newOptions - The new options.
+ * @param {string} [prefix=''] - The path of the compared section.
+ *
+ * @returns {Array<string>} The dot-separated paths of the changed options.
+ */
+const findChanges = (options, newOptions, prefix = '') => {
+  const changes = [];
+
+  for (const key of new Set([
+    ...Object.keys(options || {}),
+    ...Object.keys(newOptions || {})
+  ])) {
+    const path = `${prefix}${key}`;
+    const value = options?.[key];
+    const newValue = newOptions?.[key];
+
+    if (isObject(value) && isObject(newValue)) {
+      changes.push(...findChanges(value, newValue, `${path}.`));
+    } else if (JSON.stringify(value) !== JSON.stringify(newValue)) {
+      changes.push(path);
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Sets the value of an option at a path, creating the missing sections.
+ *
+ * @param {Object} options - The options to update.
+ * @param {string} path - The dot-separated path of the option.
+ * @param {any} value - The new value of the option.
+ */
+const setOption = (options, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const section = keys.reduce(
+    (section, key) =>
+      (section[key] = isObject(section[key]) ? section[key] : {}),
+    options
+  );
+  section[last] = value;
+};
+
+/**
+ * Reloads the options from the custom JSON file of the --loadConfig argument
+ * and the envs, and applies the changes of the live options to the running
+ * server: the log level, the rate limiting, the default export options and
+ * the number of workers. The changes of the other options are rejected
+ * and logged, and the current values of these options are kept.
+ *
+ * @returns {Promise<Object>} Promise resolving to an object with the paths
+ * of the applied and rejected options.
+ *
+ * @throws {ExportError} Throws an ExportError if the options cannot be
+ * loaded, in which case the current options and envs are kept.
+ */
+export const reloadOptions = async () => {
+  log(3, '[reload] Reloading the options.');
+
+  let newOptions, previousEnvs;
+  try {
+    previousEnvs = reloadEnvs();
+    newOptions = loadOptions();
+  } catch (error) {
+    // Keep the envs in line with the current options
+    previousEnvs && restoreEnvs(previousEnvs);
+
+    throw new ExportError(
+      `[reload] Could not reload the options: ${error.message}`
+    ).setError(error);
+  }
+
+  const options = getOptions();
+  const changes = findChanges(options, newOptions);
+  const applied = changes.filter(isLiveOption);
+  const rejected = changes.filter((path) => !isLiveOption(path));
+
+  for (const path of applied) {
+    setOption(
+      options,
+      path,
+      path.split('.').reduce((section, key) => section?.[key], newOptions)
+    );
+  }
+
+  if (applied.includes('logging.level')) {
+    setLogLevel(parseInt(options.logging.level));
+  }
+
+  if (applied.some((path) => path.startsWith('server.rateLimiting.'))) {
+    updateRateLimiting(options.server.rateLimiting);
+  }
+
+  if (applied.some((path) => path.startsWith('pool.'))) {
+    await resizePool(options.pool.minWorkers, options.pool.maxWorkers);
+  }
+
+  if (rejected.length) {
+    log(
+      2,
+      `[reload] The changes of the following options require a restart and were rejected: ${rejected.join(', ')}.`
+    );
+  }
+
+  log(
+    3,
+    applied.length
+      ? `[reload] Applied the changes of the following options: ${applied.join(', ')}.`
+      : '[reload] No changes to apply.'
+  );
+
+  return { applied, rejected };
+};
+
+export default {
+  reloadOptions
+};
@@ -12,32 +12,90 @@ See LICENSE file in root for details.
 
 *******************************************************************************/
 
+import { getOptions } from './config.js';
+import { getInstances, runInInstance } from './instance.js';
 import { clearAllIntervals } from './intervals.js';
-import { killPool } from './pool.js';
-import { closeServers } from './server/server.js';
+import { log } from './logger.js';
+import { drainPool, killPool } from './pool.js';
+import {
+  closeConnections,
+  closeServers,
+  stopKeepAlive
+} from './server/server.js';
+import { shutdownTracing } from './tracing.js';
+
+// Whether the process is already shutting down
+let shuttingDown = false;
+
+/**
+ * Frees all resources of an instance. The pool stops taking new exports first,
+ * which also fails the readiness probe, and the exports and jobs in progress
+ * may finish within the grace period. The servers keep accepting connections
+ * in the meantime, so the load balancers can see the failing probe, and are
+ * closed after the drain, along with the pool and the browser.
+ *
+ * @param {Object} instance - The instance object.
+ * @param {number} [gracePeriod=0] - The maximum time, in milliseconds,
+ * to wait for the exports in progress.
+ *
+ * @returns {Promise<Array>} - A promise that resolves once all resources
+ * are freed.
+ */
+export const releaseResources = (instance, gracePeriod = 0) =>
+  runInInstance(instance, async () => {
+    // Wait for the exports and jobs in progress, while the servers still
+    // answer the readiness probes, but ask the clients to reconnect
+    stopKeepAlive();
+    await drainPool(gracePeriod);
+
+    // Get available server instances (HTTP/HTTPS) and close them
+    closeServers();
+
+    return Promise.allSettled([
+      // Clear all ongoing intervals
+      clearAllIntervals(),
+
+      // Close the connections of requests that are still in progress
+      closeConnections(),
+
+      // Close pool along with its workers and the browser instance, if exists
+      killPool()
+    ]);
+  });
 
 /**
  * Clean up function to trigger before ending process for the graceful shutdown.
+ * Every instance waits for its exports in progress for up to the grace period
+ * of its server options. Calling it again during the shutdown ends
+ * the process right away.
  *
  * @param {number} exitCode - An exit code for the process.exit() function.
  */
 export const shutdownCleanUp = async (exitCode) => {
-  // Await freeing all resources
-  await Promise.allSettled([
-    // Clear all ongoing intervals
-    clearAllIntervals(),
+  if (shuttingDown) {
+    log(2, '[process] Shutting down right away.');
+    process.exit(exitCode);
+  }
+  shuttingDown = true;
 
-    // Get available server instances (HTTP/HTTPS) and close them
-    closeServers(),
+  // Await draining and freeing all resources of all instances
+  await Promise.allSettled(
+    getInstances().map((instance) =>
+      releaseResources(
+        instance,
+        runInInstance(instance, () => getOptions().server?.gracePeriod) || 0
+      )
+    )
+  );
 
-    // Close pool along with its workers and the browser instance, if exists
-    killPool()
-  ]);
+  // Send the remaining spans
+  await shutdownTracing();
 
   // Exit process with a correct code
   process.exit(exitCode);
 };
 
 export default {
+  releaseResources,
   shutdownCleanUp
 };
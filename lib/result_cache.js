@@ -0,0 +1,468 @@
+/*******************************************************************************
+
+Highcharts Export Server
+
+Copyright (c) 2016-2024, Highsoft
+
+Licenced under the MIT licence.
+
+Additionally a valid Highcharts license is required for use.
+
+See LICENSE file in root for details.
+
+*******************************************************************************/
+
+// The result cache stores the results of exports under a key calculated from
+// the chart, the options that affect the output and the Highcharts version,
+// so identical exports are served without rendering. The results are kept in
+// an in-memory LRU and, optionally, in a directory on the disk.
+
+import { createHash } from 'crypto';
+import {
+  existsSync,
+  mkdirSync,
+  promises as fsPromises,
+  readdirSync,
+  statSync
+} from 'fs';
+import { join, resolve } from 'path';
+
+import { getState } from './instance.js';
+import { log, logWithStack } from './logger.js';
+
+// The export options that affect the result of an export
+const resultExportOptions = [
+  'type',
+  'constr',
+  'height',
+  'width',
+  'scale',
+  'quality',
+  'backgroundColor',
+  'transparent',
+  'globalOptions',
+  'themeOptions'
+];
+
+// The custom logic options that affect the result of an export
+const resultCustomLogicOptions = ['callback', 'customCode', 'resources'];
+
+// The keys are SHA-256 hashes in the base64url format
+const resultKeyRegex = /^[\w-]{43}$/;
+
+/**
+ * Retrieves the state of the result cache in the current instance: its
+ * options, entries and statistics.
+ *
+ * @returns {Object} The state of the result cache.
+ */
+const getResultCacheState = () =>
+  getState('resultCache', () => ({
+    // The options of the result cache
+    cacheOptions: {},
+
+    // The in-memory entries, from the least to the most recently used
+    memoryEntries: new Map(),
+
+    // The entries stored on the disk, from the least to the most recently used
+    diskEntries: new Map(),
+
+    // The statistics of the result cache
+    cacheStats: {
+      hits: 0,
+      misses: 0,
+      memorySize: 0,
+      diskSize: 0
+    }
+  }));
+
+/**
+ * Serializes a value to JSON with the keys of objects sorted, so the same
+ * options always result in the same string. Functions are serialized along
+ * with their source.
+ *
+ * @param {any} value - The value to serialize.
+ *
+ * @returns {string} The normalized JSON string.
+ */
+const normalize = (value) =>
+  JSON.stringify(value, (_, item) => {
+    if (typeof item === 'function') {
+      return item.toString();
+    }
+
+    if (item && typeof item === 'object' && !Array.isArray(item)) {
+      return Object.keys(item)
+        .sort()
+        .reduce((sorted, key) => {
+          sorted[key] = item[key];
+          return sorted;
+        }, {});
+    }
+
+    return item;
+  });
+
+/**
+ * Calculates the key of an export result from the chart, the options that
+ * affect the output and the Highcharts version. The key is used for the result
+ * cache and as the ETag of the result.
+ *
+ * @param {(Object|string)} chart - The chart options or the SVG of an export.
+ * @param {Object} options - The options of the export.
+ * @param {string} hcVersion - The Highcharts version used for the export.
+ *
+ * @returns {string} The SHA-256 hash of the normalized export, in the base64url
+ * format.
+ */
+export const getResultKey = (chart, options, hcVersion) => {
+  const pick = (section, names) =>
+    names.reduce((picked, name) => {
+      picked[name] = section?.[name];
+      return picked;
+    }, {});
+
+  return createHash('sha256')
+    .update(
+      normalize({
+        chart,
+        export: pick(options.export, resultExportOptions),
+        customLogic: pick(options.customLogic, resultCustomLogicOptions),
+        hcVersion
+      })
+    )
+    .digest('base64url');
+};
+
+/**
+ * Checks if an entry outlived the time to live of the result cache.
+ *
+ * @param {number} createdAt - The creation timestamp of the entry.
+ *
+ * @returns {boolean} True if the entry is expired, false otherwise.
+ */
+const isExpired = (createdAt) => {
+  const { cacheOptions } = getResultCacheState();
+  return (
+    cacheOptions.ttl > 0 && Date.now() - createdAt > cacheOptions.ttl * 1000
+  );
+};
+
+/**
+ * Removes the least recently used entries from the map until the size
+ * of the rest fits in the limit.
+ *
+ * @param {Map} entries - The entries of the memory or disk store.
+ * @param {string} sizeStat - The name of the stat with the size of the store.
+ * @param {number} maxSize - The maximum size of the store, in bytes.
+ * @param {number} [maxItems=Infinity] - The maximum number of entries.
+ *
+ * @returns {Array<string>} The keys of the removed entries.
+ */
+const evict = (entries, sizeStat, maxSize, maxItems = Infinity) => {
+  const { cacheStats } = getResultCacheState();
+  const removed = [];
+  for (const [key, { size }] of entries) {
+    if (cacheStats[sizeStat] <= maxSize && entries.size <= maxItems) {
+      break;
+    }
+
+    entries.delete(key);
+    cacheStats[sizeStat] -= size;
+    removed.push(key);
+  }
+  return removed;
+};
+
+/**
+ * Stores a result in memory as the most recently used entry.
+ *
+ * @param {string} key - The key of the result.
+ * @param {string} result - The result of an export.
+ * @param {number} createdAt - The creation timestamp of the result.
+ */
+const setMemoryEntry = (key, result, createdAt) => {
+  const { cacheOptions, memoryEntries, cacheStats } = getResultCacheState();
+  const size = Buffer.byteLength(result);
+  const maxSize = cacheOptions.maxSize * 1024 * 1024;
+
+  // Do not store results bigger than the whole cache
+  if (size > maxSize) {
+    return;
+  }
+
+  removeMemoryEntry(key);
+  memoryEntries.set(key, { result, size, createdAt });
+  cacheStats.memorySize += size;
+
+  evict(memoryEntries, 'memorySize', maxSize, cacheOptions.maxItems);
+};
+
+/**
+ * Removes a result from memory.
+ *
+ * @param {string} key - The key of the result.
+ */
+const removeMemoryEntry = (key) => {
+  const { memoryEntries, cacheStats } = getResultCacheState();
+  const entry = memoryEntries.get(key);
+  if (entry) {
+    memoryEntries.delete(key);
+    cacheStats.memorySize -= entry.size;
+  }
+};
+
+/**
+ * Removes the files of results from the disk store.
+ *
+ * @param {Array<string>} keys - The keys of the results.
+ */
+const removeDiskFiles = (keys) => {
+  const { cacheOptions } = getResultCacheState();
+  for (const key of keys) {
+    fsPromises
+      .rm(join(cacheOptions.diskPath, key), { force: true })
+      .catch((error) =>
+        logWithStack(
+          2,
+          error,
+          `[result cache] Could not remove the ${key} result from the disk.`
+        )
+      );
+  }
+};
+
+/**
+ * Initializes the result cache with the provided options. When the disk store
+ * is enabled, the directory is created and the results already stored in it
+ * are loaded, with the expired ones removed.
+ *
+ * @param {Object} options - The resultCache section of the options.
+ */
+export const initResultCache = (options = {}) => {
+  const state = getResultCacheState();
+  const { memoryEntries, diskEntries, cacheStats } = state;
+  const cacheOptions = (state.cacheOptions = {
+    ...options,
+    diskPath: options.diskPath ? resolve(options.diskPath) : false
+  });
+
+  memoryEntries.clear();
+  diskEntries.clear();
+  cacheStats.memorySize = 0;
+  cacheStats.diskSize = 0;
+
+  if (!cacheOptions.enable) {
+    return;
+  }
+
+  if (cacheOptions.diskPath) {
+    try {
+      !existsSync(cacheOptions.diskPath) &&
+        mkdirSync(cacheOptions.diskPath, { recursive: true });
+
+      // Load the stored results, from the least to the most recently used
+      const expired = [];
+      readdirSync(cacheOptions.diskPath)
+        .filter((key) => resultKeyRegex.test(key))
+        .map((key) => {
+          const { size, mtimeMs } = statSync(join(cacheOptions.diskPath, key));
+          return { key, size, createdAt: mtimeMs };
+        })
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .forEach(({ key, size, createdAt }) => {
+          if (isExpired(createdAt)) {
+            expired.push(key);
+          } else {
+            diskEntries.set(key, { size, createdAt });
+            cacheStats.diskSize += size;
+          }
+        });
+
+      removeDiskFiles([
+        ...expired,
+        ...evict(
+          diskEntries,
+          'diskSize',
+          cacheOptions.diskMaxSize * 1024 * 1024
+        )
+      ]);
+    } catch (error) {
+      logWithStack(
+        2,
+        error,
+        `[result cache] Could not use the ${cacheOptions.diskPath} directory, the disk store is disabled.`
+      );
+      cacheOptions.diskPath = false;
+    }
+  }
+
+  log(
+    3,
+    `[result cache] The result cache is enabled${
+      cacheOptions.diskPath
+        ? `, with ${diskEntries.size} results stored in ${cacheOptions.diskPath}`
+        : ''
+    }.`
+  );
+};
+
+/**
+ * Gets a result from the cache. The memory is checked first and then
+ * the disk store, in which case the result is also brought back to memory.
+ *
+ * @param {string} key - The key of the result.
+ *
+ * @returns {Promise<(string|undefined)>} A Promise resolving to the result,
+ * or undefined if the cache is disabled or does not have a valid result.
+ */
+export const getResult = async (key) => {
+  const { cacheOptions, memoryEntries, diskEntries, cacheStats } =
+    getResultCacheState();
+  if (!cacheOptions.enable) {
+    return undefined;
+  }
+
+  // Check the memory
+  const memoryEntry = memoryEntries.get(key);
+  if (memoryEntry) {
+    if (!isExpired(memoryEntry.createdAt)) {
+      // Mark as the most recently used
+      memoryEntries.delete(key);
+      memoryEntries.set(key, memoryEntry);
+
+      cacheStats.hits++;
+      return memoryEntry.result;
+    }
+    removeMemoryEntry(key);
+  }
+
+  // Check the disk store
+  const diskEntry = cacheOptions.diskPath && diskEntries.get(key);
+  if (diskEntry) {
+    if (!isExpired(diskEntry.createdAt)) {
+      try {
+        const result = await fsPromises.readFile(
+          join(cacheOptions.diskPath, key),
+          'utf8'
+        );
+
+        // Mark as the most recently used
+        diskEntries.delete(key);
+        diskEntries.set(key, diskEntry);
+        setMemoryEntry(key, result, diskEntry.createdAt);
+
+        cacheStats.hits++;
+        return result;
+      } catch (error) {
+        logWithStack(
+          2,
+          error,
+          `[result cache] Could not read the ${key} result from the disk.`
+        );
+      }
+    }
+    removeDiskEntry(key);
+  }
+
+  cacheStats.misses++;
+  return undefined;
+};
+
+/**
+ * Stores a result in the cache: in memory and, if enabled, on the disk.
+ * Writing to the disk does not block, and failing to write only logs
+ * a warning.
+ *
+ * @param {string} key - The key of the result.
+ * @param {string} result - The result of an export.
+ */
+export const setResult = (key, result) => {
+  const { cacheOptions, diskEntries, cacheStats } = getResultCacheState();
+  if (!cacheOptions.enable || typeof result !== 'string') {
+    return;
+  }
+
+  const createdAt = Date.now();
+  setMemoryEntry(key, result, createdAt);
+
+  if (cacheOptions.diskPath) {
+    const size = Buffer.byteLength(result);
+    const filePath = join(cacheOptions.diskPath, key);
+
+    fsPromises
+      .writeFile(`${filePath}.tmp`, result)
+      .then(() => fsPromises.rename(`${filePath}.tmp`, filePath))
+      .then(() => {
+        // The result could have been stored meanwhile by another export
+        removeDiskEntry(key, false);
+        diskEntries.set(key, { size, createdAt });
+        cacheStats.diskSize += size;
+
+        removeDiskFiles(
+          evict(diskEntries, 'diskSize', cacheOptions.diskMaxSize * 1024 * 1024)
+        );
+      })
+      .catch((error) =>
+        logWithStack(
+          2,
+          error,
+          `[result cache] Could not write the ${key} result to the disk.`
+        )
+      );
+  }
+};
+
+/**
+ * Removes a result from the disk store.
+ *
+ * @param {string} key - The key of the result.
+ * @param {boolean} [removeFile=true] - Whether to remove the file as well.
+ */
+const removeDiskEntry = (key, removeFile = true) => {
+  const { diskEntries, cacheStats } = getResultCacheState();
+  const entry = diskEntries.get(key);
+  if (entry) {
+    diskEntries.delete(key);
+    cacheStats.diskSize -= entry.size;
+    removeFile && removeDiskFiles([key]);
+  }
+};
+
+/**
+ * Gets the statistics of the result cache, used by the /health route.
+ *
+ * @returns {Object} The statistics, including the hit and miss counts, and
+ * the number and size of the results stored in memory and on the disk.
+ */
+export const getResultCacheStats = () => {
+  const { cacheOptions, memoryEntries, diskEntries, cacheStats } =
+    getResultCacheState();
+
+  return {
+    enabled: !!cacheOptions.enable,
+    hits: cacheStats.hits,
+    misses: cacheStats.misses,
+    hitRatio:
+      cacheStats.hits + cacheStats.misses
+        ? (cacheStats.hits / (cacheStats.hits + cacheStats.misses)) * 100
+        : 0,
+    memory: {
+      items: memoryEntries.size,
+      size: cacheStats.memorySize
+    },
+    disk: {
+      enabled: !!cacheOptions.diskPath,
+      items: diskEntries.size,
+      size: cacheStats.diskSize
+    }
+  };
+};
+
+export default {
+  getResultKey,
+  initResultCache,
+  getResult,
+  setResult,
+  getResultCacheStats
+};
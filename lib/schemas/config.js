@@ -153,6 +153,27 @@ export const defaultConfig = {
       type: 'string',
       envLink: 'PUPPETEER_TEMP_DIR',
       description: 'The directory for Puppeteer to store temporary files.'
+    },
+    browserWSEndpoint: {
+      value: false,
+      type: 'string',
+      envLink: 'PUPPETEER_BROWSER_WS_ENDPOINT',
+      description:
+        'The WebSocket endpoint of an externally managed browser to connect to instead of launching one, e.g. ws://chromium:9222/devtools/browser/<id>.'
+    },
+    browserURL: {
+      value: false,
+      type: 'string',
+      envLink: 'PUPPETEER_BROWSER_URL',
+      description:
+        'The HTTP URL of the remote debugging of an externally managed browser to connect to instead of launching one, e.g. http://chromium:9222. Ignored when the browserWSEndpoint is set.'
+    },
+    healthCheckInterval: {
+      value: 30000,
+      type: 'number',
+      envLink: 'PUPPETEER_HEALTH_CHECK_INTERVAL',
+      description:
+        'The interval, in milliseconds, of checking if an externally managed browser still responds. A browser that does not respond is connected to again. The value of 0 disables the checks.'
     }
   },
   highcharts: {
@@ -162,6 +183,13 @@ export const defaultConfig = {
       envLink: 'HIGHCHARTS_VERSION',
       description: 'The Highcharts version to be used.'
     },
+    cachedVersions: {
+      value: [],
+      type: 'string[]',
+      envLink: 'HIGHCHARTS_CACHED_VERSIONS',
+      description:
+        'Additional Highcharts versions to keep in the cache, which can be selected per export with the highchartsVersion option.'
+    },
     cdnURL: {
       value: 'https://code.highcharts.com/',
       type: 'string',
@@ -234,13 +262,14 @@ export const defaultConfig = {
       value: false,
       type: 'string',
       description:
-        'The output filename along with a type (jpeg, png, pdf, or svg). This will ignore the --type flag.'
+        'The output filename along with a type (jpeg, png, webp, avif, pdf, or svg). This will ignore the --type flag.'
     },
     type: {
       value: 'png',
       type: 'string',
       envLink: 'EXPORT_TYPE',
-      description: 'The file export format. It can be jpeg, png, pdf, or svg.'
+      description:
+        'The file export format. It can be jpeg, png, webp, avif, pdf, or svg.'
     },
     constr: {
       value: 'chart',
@@ -249,6 +278,12 @@ export const defaultConfig = {
       description:
         'The constructor to use. Can be chart, stockChart, mapChart, or ganttChart.'
     },
+    highchartsVersion: {
+      value: false,
+      type: 'string',
+      description:
+        'The Highcharts version to use for the export. It must be either the main version or one of the cachedVersions. Defaults to the main version.'
+    },
     defaultHeight: {
       value: 400,
       type: 'number',
@@ -312,6 +347,27 @@ export const defaultConfig = {
       envLink: 'EXPORT_RASTERIZATION_TIMEOUT',
       description:
         'The duration in milliseconds to wait for rendering a webpage.'
+    },
+    quality: {
+      value: 80,
+      type: 'number',
+      envLink: 'EXPORT_QUALITY',
+      description:
+        'The quality of the JPEG, WebP and AVIF exports. Ranges between 1 and 100.'
+    },
+    backgroundColor: {
+      value: false,
+      type: 'string',
+      envLink: 'EXPORT_BACKGROUND_COLOR',
+      description:
+        'The CSS color of the chart background in the raster exports, replacing the chart.backgroundColor option. Takes precedence over the transparent option.'
+    },
+    transparent: {
+      value: true,
+      type: 'boolean',
+      envLink: 'EXPORT_TRANSPARENT',
+      description:
+        'Decides whether to render the PNG, WebP and AVIF exports on a transparent page.'
     }
   },
   customLogic: {
@@ -358,6 +414,56 @@ export const defaultConfig = {
       type: 'string',
       description:
         'Enables setting options through a prompt and saving them in a provided config file.'
+    },
+    exportCache: {
+      value: false,
+      type: 'string',
+      description:
+        'Packs the Highcharts cache into a provided bundle file, which can be installed on another machine with the importCache option.'
+    },
+    importCache: {
+      value: false,
+      type: 'string',
+      description:
+        'Verifies the integrity of a provided cache bundle file and installs it into the cachePath directory.'
+    }
+  },
+  network: {
+    interception: {
+      value: false,
+      type: 'boolean',
+      envLink: 'NETWORK_INTERCEPTION',
+      cliName: 'networkInterception',
+      description:
+        'Enables the interception of requests made by the worker pages, which are then checked against the rest of the network options.'
+    },
+    allowOutbound: {
+      value: true,
+      type: 'boolean',
+      envLink: 'NETWORK_ALLOW_OUTBOUND',
+      description:
+        'Allows the worker pages to make outbound requests. When disabled, all requests to the network are blocked.'
+    },
+    allowedHosts: {
+      value: [],
+      type: 'string[]',
+      envLink: 'NETWORK_ALLOWED_HOSTS',
+      description:
+        'The hosts (along with their subdomains) that the worker pages are allowed to request. When empty, all hosts that are not denied are allowed.'
+    },
+    deniedHosts: {
+      value: [],
+      type: 'string[]',
+      envLink: 'NETWORK_DENIED_HOSTS',
+      description:
+        'The hosts (along with their subdomains) that the worker pages are not allowed to request.'
+    },
+    blockPrivateIps: {
+      value: true,
+      type: 'boolean',
+      envLink: 'NETWORK_BLOCK_PRIVATE_IPS',
+      description:
+        'Blocks the requests to hosts that resolve to private, loopback, link-local or other reserved IP addresses.'
     }
   },
   server: {
@@ -367,6 +473,13 @@ export const defaultConfig = {
       envLink: 'SERVER_MAX_UPLOAD_SIZE',
       description: 'The maximum upload size, in MB, for the server.'
     },
+    maxBatchItems: {
+      value: 100,
+      type: 'number',
+      envLink: 'SERVER_MAX_BATCH_ITEMS',
+      description:
+        'The maximum number of charts that can be exported in a single batch request.'
+    },
     enable: {
       value: false,
       type: 'boolean',
@@ -396,6 +509,14 @@ export const defaultConfig = {
       description:
         'Indicates whether to display the duration, in milliseconds, of specific actions that occur on the server while serving a request.'
     },
+    gracePeriod: {
+      value: 25000,
+      type: 'number',
+      envLink: 'SERVER_GRACE_PERIOD',
+      cliName: 'gracePeriod',
+      description:
+        'The maximum time, in milliseconds, to wait for the exports in progress to finish when shutting down, before closing the pool and browser. It should be shorter than the grace period of a process manager, e.g. the terminationGracePeriodSeconds of Kubernetes.'
+    },
     proxy: {
       host: {
         value: false,
@@ -482,6 +603,41 @@ export const defaultConfig = {
           'Allows bypassing the rate limiter and should be provided with the skipKey argument.'
       }
     },
+    jobs: {
+      ttl: {
+        value: 600,
+        type: 'number',
+        envLink: 'SERVER_JOBS_TTL',
+        cliName: 'jobsTtl',
+        description:
+          'The time, in seconds, for which the finished asynchronous export jobs and their results are kept.'
+      },
+      maxJobs: {
+        value: 100,
+        type: 'number',
+        envLink: 'SERVER_JOBS_MAX_JOBS',
+        description:
+          'The maximum number of asynchronous export jobs that can be kept at the same time.'
+      }
+    },
+    getExport: {
+      signingKey: {
+        value: false,
+        type: 'string',
+        envLink: 'SERVER_GET_EXPORT_SIGNING_KEY',
+        cliName: 'signingKey',
+        description:
+          'The key for the HMAC signatures of the GET /export URLs. When set, only the URLs with a valid sig parameter are accepted.'
+      },
+      maxAge: {
+        value: 86400,
+        type: 'number',
+        envLink: 'SERVER_GET_EXPORT_MAX_AGE',
+        cliName: 'getExportMaxAge',
+        description:
+          'The time, in seconds, for which the charts exported with the GET /export URLs can be cached by clients.'
+      }
+    },
     ssl: {
       enable: {
         value: false,
@@ -529,6 +685,13 @@ export const defaultConfig = {
       legacyName: 'workers',
       description: 'The number of maximum pool workers to spawn.'
     },
+    browsers: {
+      value: 1,
+      type: 'number',
+      envLink: 'POOL_BROWSERS',
+      description:
+        'The number of browser processes to spread the pool workers across, so a crash of one browser affects only its workers.'
+    },
     workLimit: {
       value: 40,
       type: 'number',
@@ -536,6 +699,27 @@ export const defaultConfig = {
       description:
         'The number of work pieces that can be performed before restarting the worker process.'
     },
+    maxHeapSize: {
+      value: 0,
+      type: 'number',
+      envLink: 'POOL_MAX_HEAP_SIZE',
+      description:
+        'The size of the JavaScript heap of a worker page, in megabytes, measured after every export, above which the worker is restarted. The value of 0 disables the check.'
+    },
+    maxDomNodes: {
+      value: 0,
+      type: 'number',
+      envLink: 'POOL_MAX_DOM_NODES',
+      description:
+        'The number of DOM nodes of a worker page, measured after every export, above which the worker is restarted. The value of 0 disables the check.'
+    },
+    maxRenderTime: {
+      value: 0,
+      type: 'number',
+      envLink: 'POOL_MAX_RENDER_TIME',
+      description:
+        'The total time, in milliseconds, spent by a worker on rendering exports, above which the worker is restarted. The value of 0 disables the check.'
+    },
     acquireTimeout: {
       value: 5000,
       type: 'number',
@@ -578,6 +762,41 @@ export const defaultConfig = {
       description:
         'The duration, in milliseconds, after which the check for idle resources to destroy is triggered.'
     },
+    maxQueueSize: {
+      value: 0,
+      type: 'number',
+      envLink: 'POOL_MAX_QUEUE_SIZE',
+      description:
+        'The maximum number of exports waiting for a worker. The exports beyond the limit are rejected right away with the 503 status code. The value of 0 means no limit.'
+    },
+    maxQueueWait: {
+      value: 0,
+      type: 'number',
+      envLink: 'POOL_MAX_QUEUE_WAIT',
+      description:
+        'The duration, in milliseconds, for which an export can wait for a worker before it is rejected with the 503 status code. The value of 0 means that only the acquireTimeout applies.'
+    },
+    highPriorityWeight: {
+      value: 8,
+      type: 'number',
+      envLink: 'POOL_HIGH_PRIORITY_WEIGHT',
+      description:
+        'The weight of the high priority lane. The lanes with waiting exports get workers in proportion to their weights, and the higher lanes are served first.'
+    },
+    normalPriorityWeight: {
+      value: 4,
+      type: 'number',
+      envLink: 'POOL_NORMAL_PRIORITY_WEIGHT',
+      description:
+        'The weight of the normal priority lane, used by the exports that do not request any priority.'
+    },
+    bulkPriorityWeight: {
+      value: 1,
+      type: 'number',
+      envLink: 'POOL_BULK_PRIORITY_WEIGHT',
+      description:
+        'The weight of the bulk priority lane, which guarantees the bulk exports some share of workers even when the higher lanes are busy.'
+    },
     benchmarking: {
       value: false,
       type: 'boolean',
@@ -587,6 +806,56 @@ export const defaultConfig = {
         'Indicate whether to show statistics for the pool of resources or not.'
     }
   },
+  resultCache: {
+    enable: {
+      value: false,
+      type: 'boolean',
+      envLink: 'RESULT_CACHE_ENABLE',
+      cliName: 'enableResultCache',
+      description:
+        'Enables the cache of export results, which serves identical exports without rendering them again.'
+    },
+    ttl: {
+      value: 3600,
+      type: 'number',
+      envLink: 'RESULT_CACHE_TTL',
+      cliName: 'resultCacheTtl',
+      description:
+        'The duration, in seconds, after which a cached result expires. The value of 0 means no expiration.'
+    },
+    maxItems: {
+      value: 1000,
+      type: 'number',
+      envLink: 'RESULT_CACHE_MAX_ITEMS',
+      cliName: 'resultCacheMaxItems',
+      description:
+        'The maximum number of results kept in memory. The least recently used results are removed first.'
+    },
+    maxSize: {
+      value: 100,
+      type: 'number',
+      envLink: 'RESULT_CACHE_MAX_SIZE',
+      cliName: 'resultCacheMaxSize',
+      description:
+        'The maximum size, in megabytes, of the results kept in memory.'
+    },
+    diskPath: {
+      value: false,
+      type: 'string',
+      envLink: 'RESULT_CACHE_DISK_PATH',
+      cliName: 'resultCacheDiskPath',
+      description:
+        'The path to a directory for storing the results on the disk as well. The disk store is disabled when not set.'
+    },
+    diskMaxSize: {
+      value: 1024,
+      type: 'number',
+      envLink: 'RESULT_CACHE_DISK_MAX_SIZE',
+      cliName: 'resultCacheDiskMaxSize',
+      description:
+        'The maximum size, in megabytes, of the results stored on the disk.'
+    }
+  },
   logging: {
     level: {
       value: 4,
@@ -625,6 +894,87 @@ export const defaultConfig = {
       cliName: 'logToFile',
       description:
         'Enables or disables creation of the log directory and saving the log into a .log file.'
+    },
+    format: {
+      value: 'text',
+      type: 'string',
+      envLink: 'LOGGING_FORMAT',
+      cliName: 'logFormat',
+      description:
+        'The format of logs, either text or json (one JSON object per line, with the timestamp, level, component, message, requestId and workerId).'
+    },
+    maxSize: {
+      value: 0,
+      type: 'number',
+      envLink: 'LOGGING_MAX_SIZE',
+      cliName: 'logMaxSize',
+      description:
+        'The size of the log file, in megabytes, above which it is rotated. The value of 0 disables the size-based rotation.'
+    },
+    rotateInterval: {
+      value: 'none',
+      type: 'string',
+      envLink: 'LOGGING_ROTATE_INTERVAL',
+      cliName: 'logRotateInterval',
+      description:
+        'The interval of rotating the log file, either none, hourly or daily.'
+    },
+    compress: {
+      value: false,
+      type: 'boolean',
+      envLink: 'LOGGING_COMPRESS',
+      cliName: 'logCompress',
+      description:
+        'Enables or disables compressing the rotated log files with gzip.'
+    },
+    maxFiles: {
+      value: 0,
+      type: 'number',
+      envLink: 'LOGGING_MAX_FILES',
+      cliName: 'logMaxFiles',
+      description:
+        'The maximum number of rotated log files to keep, the oldest ones are removed. The value of 0 means no limit.'
+    },
+    maxAge: {
+      value: 0,
+      type: 'number',
+      envLink: 'LOGGING_MAX_AGE',
+      cliName: 'logMaxAge',
+      description:
+        'The maximum age, in days, of rotated log files to keep, the older ones are removed. The value of 0 means no limit.'
+    }
+  },
+  tracing: {
+    enable: {
+      value: false,
+      type: 'boolean',
+      envLink: 'TRACING_ENABLE',
+      cliName: 'enableTracing',
+      description:
+        'Enables the OpenTelemetry tracing of HTTP requests and exports.'
+    },
+    endpoint: {
+      value: false,
+      type: 'string',
+      envLink: 'TRACING_ENDPOINT',
+      cliName: 'tracingEndpoint',
+      description:
+        'The URL of an OTLP/HTTP collector to send the spans to, e.g. http://localhost:4318/v1/traces. When not set, the standard OTEL_EXPORTER_OTLP_* variables are used.'
+    },
+    serviceName: {
+      value: 'highcharts-export-server',
+      type: 'string',
+      envLink: 'TRACING_SERVICE_NAME',
+      cliName: 'tracingServiceName',
+      description: 'The name of the service reported with the spans.'
+    },
+    sampleRatio: {
+      value: 1,
+      type: 'number',
+      envLink: 'TRACING_SAMPLE_RATIO',
+      cliName: 'tracingSampleRatio',
+      description:
+        'The ratio, between 0 and 1, of traces started by the server that are sampled. The traces started by a caller follow its sampling decision.'
     }
   },
   ui: {
@@ -744,6 +1094,24 @@ export const promptsConfig = {
       message: 'Puppeteer arguments',
       initial: defaultConfig.puppeteer.args.value.join(','),
       separator: ','
+    },
+    {
+      type: 'text',
+      name: 'browserWSEndpoint',
+      message: 'The WebSocket endpoint of an external browser',
+      initial: defaultConfig.puppeteer.browserWSEndpoint.value
+    },
+    {
+      type: 'text',
+      name: 'browserURL',
+      message: 'The remote debugging URL of an external browser',
+      initial: defaultConfig.puppeteer.browserURL.value
+    },
+    {
+      type: 'number',
+      name: 'healthCheckInterval',
+      message: 'The interval of checking an external browser (in milliseconds)',
+      initial: defaultConfig.puppeteer.healthCheckInterval.value
     }
   ],
   highcharts: [
@@ -753,6 +1121,13 @@ export const promptsConfig = {
       message: 'Highcharts version',
       initial: defaultConfig.highcharts.version.value
     },
+    {
+      type: 'list',
+      name: 'cachedVersions',
+      message: 'Additional Highcharts versions to cache',
+      initial: defaultConfig.highcharts.cachedVersions.value.join(','),
+      separator: ','
+    },
     {
       type: 'text',
       name: 'cdnURL',
@@ -813,7 +1188,7 @@ export const promptsConfig = {
       message: 'The default export file type',
       hint: `Default: ${defaultConfig.export.type.value}`,
       initial: 0,
-      choices: ['png', 'jpeg', 'pdf', 'svg']
+      choices: ['png', 'jpeg', 'webp', 'avif', 'pdf', 'svg']
     },
     {
       type: 'select',
@@ -848,6 +1223,26 @@ export const promptsConfig = {
       name: 'rasterizationTimeout',
       message: 'The rendering webpage timeout in milliseconds',
       initial: defaultConfig.export.rasterizationTimeout.value
+    },
+    {
+      type: 'number',
+      name: 'quality',
+      message: 'The quality of the JPEG, WebP and AVIF exports',
+      initial: defaultConfig.export.quality.value,
+      min: 1,
+      max: 100
+    },
+    {
+      type: 'text',
+      name: 'backgroundColor',
+      message: 'The background color of the raster exports',
+      initial: defaultConfig.export.backgroundColor.value
+    },
+    {
+      type: 'toggle',
+      name: 'transparent',
+      message: 'Render the PNG, WebP and AVIF exports on a transparent page',
+      initial: defaultConfig.export.transparent.value
     }
   ],
   customLogic: [
@@ -864,6 +1259,40 @@ export const promptsConfig = {
       initial: defaultConfig.customLogic.allowFileResources.value
     }
   ],
+  network: [
+    {
+      type: 'toggle',
+      name: 'interception',
+      message: 'Enable the interception of the requests made by worker pages',
+      initial: defaultConfig.network.interception.value
+    },
+    {
+      type: 'toggle',
+      name: 'allowOutbound',
+      message: 'Allow the outbound requests from worker pages',
+      initial: defaultConfig.network.allowOutbound.value
+    },
+    {
+      type: 'list',
+      name: 'allowedHosts',
+      message: 'The hosts allowed to request (empty means all)',
+      initial: defaultConfig.network.allowedHosts.value.join(','),
+      separator: ','
+    },
+    {
+      type: 'list',
+      name: 'deniedHosts',
+      message: 'The hosts denied to request',
+      initial: defaultConfig.network.deniedHosts.value.join(','),
+      separator: ','
+    },
+    {
+      type: 'toggle',
+      name: 'blockPrivateIps',
+      message: 'Block the requests to private IP addresses',
+      initial: defaultConfig.network.blockPrivateIps.value
+    }
+  ],
   server: [
     {
       type: 'toggle',
@@ -889,6 +1318,19 @@ export const promptsConfig = {
       message: 'Enable server benchmarking',
       initial: defaultConfig.server.benchmarking.value
     },
+    {
+      type: 'number',
+      name: 'gracePeriod',
+      message:
+        'The maximum time of waiting for exports in progress on shutdown (in milliseconds)',
+      initial: defaultConfig.server.gracePeriod.value
+    },
+    {
+      type: 'number',
+      name: 'maxBatchItems',
+      message: 'The maximum number of charts in a batch request',
+      initial: defaultConfig.server.maxBatchItems.value
+    },
     {
       type: 'text',
       name: 'proxy.host',
@@ -952,6 +1394,30 @@ export const promptsConfig = {
         'Allows bypassing the rate limiter when provided with the skipKey argument',
       initial: defaultConfig.server.rateLimiting.skipToken.value
     },
+    {
+      type: 'number',
+      name: 'jobs.ttl',
+      message: 'The time in seconds to keep the finished jobs',
+      initial: defaultConfig.server.jobs.ttl.value
+    },
+    {
+      type: 'number',
+      name: 'jobs.maxJobs',
+      message: 'The maximum number of the stored jobs',
+      initial: defaultConfig.server.jobs.maxJobs.value
+    },
+    {
+      type: 'text',
+      name: 'getExport.signingKey',
+      message: 'The key for signing the GET export URLs',
+      initial: defaultConfig.server.getExport.signingKey.value
+    },
+    {
+      type: 'number',
+      name: 'getExport.maxAge',
+      message: 'The time in seconds to cache the GET exports by clients',
+      initial: defaultConfig.server.getExport.maxAge.value
+    },
     {
       type: 'toggle',
       name: 'ssl.enable',
@@ -990,6 +1456,12 @@ export const promptsConfig = {
       message: 'The maximum number of workers to spawn',
       initial: defaultConfig.pool.maxWorkers.value
     },
+    {
+      type: 'number',
+      name: 'browsers',
+      message: 'The number of browser processes',
+      initial: defaultConfig.pool.browsers.value
+    },
     {
       type: 'number',
       name: 'workLimit',
@@ -997,6 +1469,27 @@ export const promptsConfig = {
         'The pieces of work that can be performed before restarting a Puppeteer process',
       initial: defaultConfig.pool.workLimit.value
     },
+    {
+      type: 'number',
+      name: 'maxHeapSize',
+      message:
+        'The JS heap size of a worker above which it is restarted (in MB)',
+      initial: defaultConfig.pool.maxHeapSize.value
+    },
+    {
+      type: 'number',
+      name: 'maxDomNodes',
+      message:
+        'The number of DOM nodes of a worker above which it is restarted',
+      initial: defaultConfig.pool.maxDomNodes.value
+    },
+    {
+      type: 'number',
+      name: 'maxRenderTime',
+      message:
+        'The total render time of a worker above which it is restarted (in milliseconds)',
+      initial: defaultConfig.pool.maxRenderTime.value
+    },
     {
       type: 'number',
       name: 'acquireTimeout',
@@ -1035,6 +1528,37 @@ export const promptsConfig = {
         'The reaper interval in milliseconds after triggering the check for idle resources to destroy',
       initial: defaultConfig.pool.reaperInterval.value
     },
+    {
+      type: 'number',
+      name: 'maxQueueSize',
+      message: 'The maximum number of exports waiting for a worker',
+      initial: defaultConfig.pool.maxQueueSize.value
+    },
+    {
+      type: 'number',
+      name: 'maxQueueWait',
+      message:
+        'The number of milliseconds an export can wait for a worker before being rejected',
+      initial: defaultConfig.pool.maxQueueWait.value
+    },
+    {
+      type: 'number',
+      name: 'highPriorityWeight',
+      message: 'The weight of the high priority lane',
+      initial: defaultConfig.pool.highPriorityWeight.value
+    },
+    {
+      type: 'number',
+      name: 'normalPriorityWeight',
+      message: 'The weight of the normal priority lane',
+      initial: defaultConfig.pool.normalPriorityWeight.value
+    },
+    {
+      type: 'number',
+      name: 'bulkPriorityWeight',
+      message: 'The weight of the bulk priority lane',
+      initial: defaultConfig.pool.bulkPriorityWeight.value
+    },
     {
       type: 'toggle',
       name: 'benchmarking',
@@ -1042,6 +1566,44 @@ export const promptsConfig = {
       initial: defaultConfig.pool.benchmarking.value
     }
   ],
+  resultCache: [
+    {
+      type: 'toggle',
+      name: 'enable',
+      message: 'Enable the cache of export results',
+      initial: defaultConfig.resultCache.enable.value
+    },
+    {
+      type: 'number',
+      name: 'ttl',
+      message: 'The time to live of cached results (in seconds)',
+      initial: defaultConfig.resultCache.ttl.value
+    },
+    {
+      type: 'number',
+      name: 'maxItems',
+      message: 'The maximum number of results kept in memory',
+      initial: defaultConfig.resultCache.maxItems.value
+    },
+    {
+      type: 'number',
+      name: 'maxSize',
+      message: 'The maximum size of results kept in memory (in MB)',
+      initial: defaultConfig.resultCache.maxSize.value
+    },
+    {
+      type: 'text',
+      name: 'diskPath',
+      message: 'The directory for storing results on the disk',
+      initial: defaultConfig.resultCache.diskPath.value
+    },
+    {
+      type: 'number',
+      name: 'diskMaxSize',
+      message: 'The maximum size of results stored on the disk (in MB)',
+      initial: defaultConfig.resultCache.diskMaxSize.value
+    }
+  ],
   logging: [
     {
       type: 'number',
@@ -1077,6 +1639,75 @@ export const promptsConfig = {
       name: 'toFile',
       message: 'Enables logging to a file',
       initial: defaultConfig.logging.toFile.value
+    },
+    {
+      type: 'select',
+      name: 'format',
+      message: 'The format of logs',
+      hint: `Default: ${defaultConfig.logging.format.value}`,
+      initial: 0,
+      choices: ['text', 'json']
+    },
+    {
+      type: 'number',
+      name: 'maxSize',
+      message: 'The size of the log file above which it is rotated (in MB)',
+      initial: defaultConfig.logging.maxSize.value
+    },
+    {
+      type: 'select',
+      name: 'rotateInterval',
+      message: 'The interval of rotating the log file',
+      hint: `Default: ${defaultConfig.logging.rotateInterval.value}`,
+      initial: 0,
+      choices: ['none', 'hourly', 'daily']
+    },
+    {
+      type: 'toggle',
+      name: 'compress',
+      message: 'Enables compressing the rotated log files',
+      initial: defaultConfig.logging.compress.value
+    },
+    {
+      type: 'number',
+      name: 'maxFiles',
+      message: 'The maximum number of rotated log files to keep',
+      initial: defaultConfig.logging.maxFiles.value
+    },
+    {
+      type: 'number',
+      name: 'maxAge',
+      message: 'The maximum age of rotated log files to keep (in days)',
+      initial: defaultConfig.logging.maxAge.value
+    }
+  ],
+  tracing: [
+    {
+      type: 'toggle',
+      name: 'enable',
+      message: 'Enable the OpenTelemetry tracing',
+      initial: defaultConfig.tracing.enable.value
+    },
+    {
+      type: 'text',
+      name: 'endpoint',
+      message: 'The URL of an OTLP/HTTP collector',
+      initial: defaultConfig.tracing.endpoint.value
+    },
+    {
+      type: 'text',
+      name: 'serviceName',
+      message: 'The name of the service reported with the spans',
+      initial: defaultConfig.tracing.serviceName.value
+    },
+    {
+      type: 'number',
+      name: 'sampleRatio',
+      message: 'The ratio of sampled traces (between 0 and 1)',
+      initial: defaultConfig.tracing.sampleRatio.value,
+      float: true,
+      min: 0,
+      max: 1
     }
   ],
   ui: [
@@ -1,8 +1,11 @@
 import { envs } from '../envs.js';
-import { logWithStack } from '../logger.js';
+import { log, logWithStack } from '../logger.js';
 
 /**
  * Middleware for logging errors with stack trace and handling error response.
+ * The expected errors, such as the rejections of exports by the overloaded
+ * or draining server, come in bursts and are logged as notices without
+ * the stack.
  *
  * @param {Error} error - The error object.
  * @param {Express.Request} req - The Express request object.
@@ -11,7 +14,11 @@ import { logWithStack } from '../logger.js';
  */
 const logErrorMiddleware = (error, req, res, next) => {
   // Display the error with stack in a correct format
-  logWithStack(1, error);
+  if (error.expected) {
+    log(3, `[server] ${error.message}`);
+  } else {
+    logWithStack(1, error);
+  }
 
   // Delete the stack for the environment other than the development
   if (envs.OTHER_NODE_ENV !== 'development') {
@@ -35,6 +42,11 @@ const returnErrorMiddleware = (error, req, res, next) => {
   const { statusCode: stCode, status, message, stack } = error;
   const statusCode = stCode || status || 400;
 
+  // Tell the client when to retry the request, e.g. when the queue is full
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
   // Set and return response
   res.status(statusCode).json({ statusCode, message, stack });
 };
@@ -0,0 +1,266 @@
+/*******************************************************************************
+
+Highcharts Export Server
+
+Copyright (c) 2016-2024, Highsoft
+
+Licenced under the MIT licence.
+
+Additionally a valid Highcharts license is required for use.
+
+See LICENSE file in root for details.
+
+*******************************************************************************/
+
+// The request hooks allow the module users to customize the handling of export
+// requests, e.g. for validation, authorization, rewriting of the payload,
+// post-processing of results and auditing. The hooks are run by all routes
+// that export charts. The priority hooks decide who may use which priority
+// lane of the pool.
+
+import { getState } from '../instance.js';
+import { defaultPriority, priorities } from '../lanes.js';
+
+import ExportError from '../errors/ExportError.js';
+import HttpError from '../errors/HttpError.js';
+
+/**
+ * Retrieves the state of the request hooks in the current instance.
+ *
+ * @returns {Object} - The state of the hooks.
+ */
+const getHooksState = () =>
+  getState('hooks', () => ({
+    // The requests counter
+    requestsCounter: 0,
+
+    // The hooks to run before an export, in order of registration
+    beforeRequest: [],
+
+    // The hooks to run after an export, in order of registration
+    afterRequest: [],
+
+    // The hooks that authorize the requested priorities
+    priorityHooks: []
+  }));
+
+/**
+ * Adds a hook to the list and returns the function that removes it.
+ *
+ * @param {Function[]} hooks - The list of hooks.
+ * @param {Function} hook - The hook to add.
+ *
+ * @returns {Function} - The function that removes the hook.
+ *
+ * @throws {ExportError} - Throws an ExportError if the hook is not a function.
+ */
+const addHook = (hooks, hook) => {
+  if (typeof hook !== 'function') {
+    throw new ExportError('[hooks] A request hook must be a function.');
+  }
+
+  hooks.push(hook);
+  return () => {
+    const index = hooks.indexOf(hook);
+    index > -1 && hooks.splice(index, 1);
+  };
+};
+
+/**
+ * Registers a hook called before every export request, after the body is
+ * parsed and before the export options are created from it. The hook is called
+ * with the request, response, request's number, unique ID, type of export
+ * and body, and may be asynchronous. It may rewrite the body in place.
+ * Returning (or resolving with) a value other than undefined and true stops
+ * the request and sends that value as the response, while throwing (or
+ * rejecting with) an HttpError sends an error response with its status code.
+ *
+ * @param {Function} hook - The hook to register.
+ *
+ * @returns {Function} - The function that unregisters the hook.
+ *
+ * @throws {ExportError} - Throws an ExportError if the hook is not a function.
+ */
+export const addBeforeRequest = (hook) =>
+  addHook(getHooksState().beforeRequest, hook);
+
+/**
+ * Registers a hook called after every successful export, before the result is
+ * sent. The hook is called with the request, response, request's number,
+ * unique ID, type of export and result (a base64 string or an SVG markup), and
+ * may be asynchronous. Returning (or resolving with) a string replaces
+ * the result, while throwing (or rejecting with) an HttpError sends an error
+ * response with its status code.
+ *
+ * @param {Function} hook - The hook to register.
+ *
+ * @returns {Function} - The function that unregisters the hook.
+ *
+ * @throws {ExportError} - Throws an ExportError if the hook is not a function.
+ */
+export const addAfterRequest = (hook) =>
+  addHook(getHooksState().afterRequest, hook);
+
+/**
+ * Registers a hook that authorizes the priority requested by an export
+ * request. The hook is called with the request and the requested priority,
+ * and may be asynchronous. The priority is allowed only if all hooks return
+ * (or resolve with) true. Without any hooks, only the default and lower
+ * priorities are allowed.
+ *
+ * @param {Function} hook - The hook to register.
+ *
+ * @returns {Function} - The function that unregisters the hook.
+ *
+ * @throws {ExportError} - Throws an ExportError if the hook is not a function.
+ */
+export const addPriorityHook = (hook) =>
+  addHook(getHooksState().priorityHooks, hook);
+
+/**
+ * Checks if any after request hooks are registered.
+ *
+ * @returns {boolean} - True if at least one after request hook is registered,
+ * false otherwise.
+ */
+export const hasAfterRequest = () => getHooksState().afterRequest.length > 0;
+
+/**
+ * Unregisters all before request, after request and priority hooks.
+ */
+export const clearRequestHooks = () => {
+  const { beforeRequest, afterRequest, priorityHooks } = getHooksState();
+  beforeRequest.length = 0;
+  afterRequest.length = 0;
+  priorityHooks.length = 0;
+};
+
+/**
+ * Gets the next number of an export request, passed to the hooks as the id.
+ *
+ * @returns {number} - The number of a request.
+ */
+export const nextRequestNumber = () => ++getHooksState().requestsCounter;
+
+/**
+ * Runs the before request hooks one after another, until one of them stops
+ * the request.
+ *
+ * @param {Express.Request} request - The Express request object.
+ * @param {Express.Response} response - The Express response object.
+ * @param {Object} data - An object containing the id, uniqueId, type
+ * and body of a request.
+ *
+ * @returns {Promise<any>} - A promise that resolves to true if the request
+ * should continue, or to the value returned by the hook that stopped it.
+ */
+export const runBeforeRequest = async (request, response, data) => {
+  const { id, uniqueId, type, body } = data;
+
+  for (const hook of [...getHooksState().beforeRequest]) {
+    const hookResponse = await hook(
+      request,
+      response,
+      id,
+      uniqueId,
+      type,
+      body
+    );
+
+    if (hookResponse !== undefined && hookResponse !== true) {
+      return hookResponse;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Runs the after request hooks one after another, passing the result returned
+ * by the previous hook to the next one.
+ *
+ * @param {Express.Request} request - The Express request object.
+ * @param {Express.Response} response - The Express response object.
+ * @param {Object} data - An object containing the id, uniqueId, type
+ * and result of an export.
+ *
+ * @returns {Promise<string>} - A promise that resolves to the final result.
+ */
+export const runAfterRequest = async (request, response, data) => {
+  const { id, uniqueId, type } = data;
+  let { result } = data;
+
+  for (const hook of [...getHooksState().afterRequest]) {
+    const hookResult = await hook(
+      request,
+      response,
+      id,
+      uniqueId,
+      type,
+      result
+    );
+
+    if (typeof hookResult === 'string') {
+      result = hookResult;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Checks if a request may use the priority it asks for, by running
+ * the priority hooks.
+ *
+ * @param {Express.Request} request - The Express request object.
+ * @param {string} [priority] - The requested priority, none by default.
+ *
+ * @returns {Promise<void>} - A promise that resolves if the priority
+ * is allowed.
+ *
+ * @throws {HttpError} - Throws an HttpError with the 400 status if
+ * the priority is unknown, or with the 403 status if it is not allowed.
+ */
+export const authorizePriority = async (request, priority) => {
+  if (priority === undefined) {
+    return;
+  }
+
+  if (!priorities.includes(priority)) {
+    throw new HttpError(
+      `[hooks] The priority ${priority} is unknown, use one of: ${priorities.join(', ')}.`,
+      400
+    );
+  }
+
+  const hooks = [...getHooksState().priorityHooks];
+  let allowed = hooks.length
+    ? true
+    : priorities.indexOf(priority) >= priorities.indexOf(defaultPriority);
+
+  for (const hook of hooks) {
+    if ((await hook(request, priority)) !== true) {
+      allowed = false;
+      break;
+    }
+  }
+
+  if (!allowed) {
+    throw new HttpError(
+      `[hooks] The request is not allowed to use the ${priority} priority.`,
+      403
+    );
+  }
+};
+
+export default {
+  addBeforeRequest,
+  addAfterRequest,
+  addPriorityHook,
+  hasAfterRequest,
+  clearRequestHooks,
+  nextRequestNumber,
+  runBeforeRequest,
+  runAfterRequest,
+  authorizePriority
+};
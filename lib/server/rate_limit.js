@@ -14,15 +14,70 @@ See LICENSE file in root for details.
 
 import rateLimit from 'express-rate-limit';
 
+import { getState } from '../instance.js';
 import { log } from '../logger.js';
 
 /**
- * Middleware for enabling rate limiting on the specified Express app.
+ * Retrieves the state of the rate limiting in the current instance: the app
+ * the rate limiting is attached to and the current limiter, if enabled.
+ *
+ * @returns {Object} The state of the rate limiting.
+ */
+const getRateLimitingState = () =>
+  getState('rateLimiting', () => ({
+    app: null,
+    limiter: null
+  }));
+
+/**
+ * Attaches the rate limiting to the Express app. The requests pass through
+ * the current limiter, which can be replaced or removed at any time.
  *
  * @param {Express} app - The Express app instance.
+ */
+export const attachRateLimiting = (app) => {
+  getRateLimitingState().app = app;
+
+  app.use((request, response, next) => {
+    const { limiter } = getRateLimitingState();
+    return limiter ? limiter(request, response, next) : next();
+  });
+};
+
+/**
+ * Enables, replaces or disables the limiter of the app the rate limiting
+ * is attached to, according to the rate limiting options. A new limiter
+ * starts counting the requests from scratch.
+ *
  * @param {Object} limitConfig - Configuration options for rate limiting.
  */
-export default (app, limitConfig) => {
+export const updateRateLimiting = (limitConfig) => {
+  const state = getRateLimitingState();
+
+  // Nothing to limit until the rate limiting is attached to an app
+  if (!state.app) {
+    return;
+  }
+
+  if (
+    limitConfig &&
+    limitConfig.enable &&
+    ![0, NaN].includes(limitConfig.maxRequests)
+  ) {
+    enableRateLimiting(state.app, limitConfig);
+  } else if (state.limiter) {
+    state.limiter = null;
+    log(3, '[rate limiting] Disabled rate limiting.');
+  }
+};
+
+/**
+ * Enables rate limiting on the specified Express app.
+ *
+ * @param {Express} app - The Express app instance.
+ * @param {Object} limitConfig - Configuration options for rate limiting.
+ */
+const enableRateLimiting = (app, limitConfig) => {
   const msg =
     'Too many requests, you have been rate limited. Please try again later.';
 
@@ -73,11 +128,13 @@ export default (app, limitConfig) => {
     }
   });
 
-  // Use a limiter as a middleware
-  app.use(limiter);
+  // Use a limiter in place of the previous one
+  getRateLimitingState().limiter = limiter;
 
   log(
     3,
     `[rate limiting] Enabled rate limiting with ${rateOptions.max} requests per ${rateOptions.window} minute for each IP, trusting proxy: ${rateOptions.trustProxy}.`
   );
 };
+
+export default enableRateLimiting;
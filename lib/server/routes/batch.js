@@ -0,0 +1,302 @@
+/*******************************************************************************
+
+Highcharts Export Server
+
+Copyright (c) 2016-2024, Highsoft
+
+Licenced under the MIT licence.
+
+Additionally a valid Highcharts license is required for use.
+
+See LICENSE file in root for details.
+
+*******************************************************************************/
+
+import archiver from 'archiver';
+import { v4 as uuid } from 'uuid';
+
+import { startExport } from '../../chart.js';
+import { getOptions } from '../../config.js';
+import {
+  log,
+  logWithStack,
+  runWithLogContext,
+  setLogContext
+} from '../../logger.js';
+import { getPool, trackWork } from '../../pool.js';
+import { fixType, measureTime } from '../../utils.js';
+import {
+  authorizePriority,
+  nextRequestNumber,
+  runAfterRequest,
+  runBeforeRequest
+} from '../hooks.js';
+import { createAbortSignal, getRequestOptions } from './export.js';
+
+import HttpError from '../../errors/HttpError.js';
+
+/**
+ * Performs a single export of a batch and wraps the callback-based
+ * startExport function in a promise.
+ *
+ * @param {Object} options - The final options of the export process.
+ *
+ * @returns {Promise<Object>} - A promise that resolves with the info object
+ * of the export, containing the result and options.
+ */
+const exportItem = (options) =>
+  new Promise((resolve, reject) => {
+    startExport(options, (error, info) => {
+      if (error) {
+        return reject(error);
+      }
+
+      if (!info || !info.result) {
+        return reject(
+          new HttpError('Unexpected return from chart generation.', 400)
+        );
+      }
+
+      resolve(info);
+    }).catch(reject);
+  });
+
+/**
+ * Makes a requested file name safe to use: characters that are not safe
+ * in paths are replaced and the leading dots are removed.
+ *
+ * @param {string} name - The requested name.
+ *
+ * @returns {string} - The safe name, or an empty string if nothing is left.
+ */
+const sanitizeFileName = (name) =>
+  (typeof name === 'string' &&
+    name.replace(/[^\w.-]/g, '_').replace(/^\.+/, '')) ||
+  '';
+
+/**
+ * Creates a name for a file in the archive. The name is either taken from
+ * the filename argument of an item or created from its index. Characters that
+ * are not safe in paths are removed and duplicated names get a suffix.
+ *
+ * @param {Object} item - The export arguments of an item.
+ * @param {number} index - The index of an item in the batch.
+ * @param {string} type - The type of the exported chart.
+ * @param {Set} usedNames - The set of names already used in the archive.
+ *
+ * @returns {string} - The name of a file.
+ */
+const getFileName = (item, index, type, usedNames) => {
+  const baseName = sanitizeFileName(item?.filename) || `chart-${index + 1}`;
+
+  let name = `${baseName}.${type}`;
+  for (let i = 2; usedNames.has(name); i++) {
+    name = `${baseName}-${i}.${type}`;
+  }
+
+  usedNames.add(name);
+  return name;
+};
+
+/**
+ * Handles the batch export requests. All exports of a batch are distributed
+ * across the pool of workers and the results are sent back as a ZIP archive
+ * with one file per chart and the manifest.json file listing the results
+ * of all items.
+ *
+ * @param {Express.Request} request - The Express request object.
+ * @param {Express.Response} response - The Express response object.
+ * @param {Function} next - The next middleware function.
+ *
+ * @returns {Promise<void>} - A promise that resolves once the archive is sent.
+ */
+const batchHandler = async (request, response, next) => {
+  let finishBatch;
+  try {
+    // Start counting time
+    const stopCounter = measureTime();
+
+    // Create a unique ID for a request
+    const uniqueId = uuid().replace(/-/g, '');
+
+    // Add the ID to all logs of the request
+    setLogContext({ requestId: uniqueId });
+
+    const { maxBatchItems } = getOptions().server;
+
+    // Accept either an array or an object with the items property
+    const items = Array.isArray(request.body)
+      ? request.body
+      : request.body?.items;
+
+    if (!Array.isArray(items) || !items.length) {
+      throw new HttpError(
+        "The request body must be a non-empty array of export requests, or an object with such an array in the 'items' attribute.",
+        400
+      );
+    }
+
+    if (items.length > maxBatchItems) {
+      throw new HttpError(
+        `The batch contains ${items.length} items, while the limit is ${maxBatchItems}.`,
+        400
+      );
+    }
+
+    // The draining pool waits for all items of the batch, and no batches
+    // are started then
+    finishBatch = trackWork();
+
+    log(
+      4,
+      `[batch] Got an incoming batch request with ID ${uniqueId} and ${items.length} items.`
+    );
+
+    const archive = archiver('zip');
+    archive.on('warning', (error) => {
+      logWithStack(2, error, `[batch] Archive warning for ${uniqueId}.`);
+    });
+    archive.on('error', (error) => {
+      logWithStack(1, error, `[batch] Archive error for ${uniqueId}.`);
+      response.destroy(error);
+    });
+
+    // The archive is streamed as soon as the exports start finishing
+    response.header('Content-Type', 'application/zip');
+    response.attachment(
+      `${sanitizeFileName(request.body?.filename) || 'charts'}.zip`
+    );
+    archive.pipe(response);
+
+    // Cancel the remaining exports when the client closes the connection
+    const signal = createAbortSignal(response);
+
+    const usedNames = new Set();
+    const manifestItems = new Array(items.length);
+
+    // Do not exceed the pool size, the rest of the items wait in the line
+    // instead of timing out while acquiring a worker
+    const concurrency = Math.max(
+      1,
+      Math.min(getPool()?.max || 1, items.length)
+    );
+
+    let nextIndex = 0;
+    const runExports = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        const item = items[index];
+        const itemCounter = measureTime();
+
+        try {
+          const itemId = `${uniqueId}-${index + 1}`;
+          const id = nextRequestNumber();
+
+          // Call the before request hooks for every item, a hook stopping
+          // the request fails only that item
+          const hookResponse = await runBeforeRequest(request, response, {
+            id,
+            uniqueId: itemId,
+            type: fixType(item?.type),
+            body: item
+          });
+
+          if (hookResponse !== true) {
+            throw new HttpError(
+              typeof hookResponse === 'string'
+                ? hookResponse
+                : 'The export was stopped by a before request hook.',
+              403
+            );
+          }
+
+          const options = getRequestOptions(request, itemId, item);
+          options.payload.signal = signal;
+          await authorizePriority(request, options.payload.priority);
+
+          const info = await runWithLogContext({ requestId: itemId }, () =>
+            exportItem(options)
+          );
+
+          const { type } = info.options.export;
+          const fileName = getFileName(item, index, type, usedNames);
+
+          // The after request hooks, which may also replace the result
+          const result = await runAfterRequest(request, response, {
+            id,
+            uniqueId: itemId,
+            type,
+            result: info.result
+          });
+
+          archive.append(
+            type === 'svg' ? result : Buffer.from(result, 'base64'),
+            { name: fileName }
+          );
+
+          manifestItems[index] = {
+            index,
+            status: 'done',
+            file: fileName,
+            type,
+            durationMs: Math.round(itemCounter())
+          };
+        } catch (error) {
+          manifestItems[index] = {
+            index,
+            status: 'failed',
+            error: {
+              statusCode: error.statusCode || 500,
+              message: error.message
+            },
+            durationMs: Math.round(itemCounter())
+          };
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, runExports));
+
+    const failed = manifestItems.filter((item) => item.status === 'failed');
+
+    // Add the manifest with the results of all items
+    archive.append(
+      JSON.stringify(
+        {
+          requestId: uniqueId,
+          total: items.length,
+          succeeded: items.length - failed.length,
+          failed: failed.length,
+          items: manifestItems
+        },
+        null,
+        2
+      ),
+      { name: 'manifest.json' }
+    );
+
+    await archive.finalize();
+
+    log(
+      failed.length ? 2 : 4,
+      `[batch] Finished the batch request with ID ${uniqueId} in ${Math.round(
+        stopCounter()
+      )}ms: ${items.length - failed.length} succeeded, ${failed.length} failed.`
+    );
+  } catch (error) {
+    next(error);
+  } finally {
+    finishBatch?.();
+  }
+};
+
+export default (app) => {
+  if (!app) {
+    return false;
+  }
+
+  /**
+   * Adds the POST /batch route for handling multi-chart exports.
+   */
+  app.post('/batch', batchHandler);
+};
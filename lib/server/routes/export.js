@@ -12,73 +12,258 @@ See LICENSE file in root for details.
 
 *******************************************************************************/
 
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
 import { v4 as uuid } from 'uuid';
 
+import { getAvailableVersions, getVersionCache } from '../../cache.js';
 import { getAllowCodeExecution, startExport } from '../../chart.js';
 import { getOptions, mergeConfigOptions } from '../../config.js';
-import { log } from '../../logger.js';
+import { log, setLogContext } from '../../logger.js';
+import { trackWork } from '../../pool.js';
 import {
   fixType,
   isCorrectJSON,
   isObjectEmpty,
   isPrivateRangeUrlFound,
   optionsStringify,
-  measureTime
+  measureTime,
+  reversedMime,
+  toBoolean
 } from '../../utils.js';
+import {
+  authorizePriority,
+  hasAfterRequest,
+  nextRequestNumber,
+  runAfterRequest,
+  runBeforeRequest
+} from '../hooks.js';
 
 import HttpError from '../../errors/HttpError.js';
 
-// Reversed MIME types
-const reversedMime = {
-  png: 'image/png',
-  jpeg: 'image/jpeg',
-  gif: 'image/gif',
-  pdf: 'application/pdf',
-  svg: 'image/svg+xml'
-};
+// The query parameters of the GET /export route used as the export arguments
+const queryArgs = [
+  'options',
+  'type',
+  'width',
+  'height',
+  'scale',
+  'constr',
+  'quality',
+  'backgroundColor',
+  'transparent',
+  'highchartsVersion',
+  'globalOptions',
+  'themeOptions',
+  'priority'
+];
 
-// The requests counter
-let requestsCounter = 0;
+/**
+ * Gathers and validates the export options from the body of an HTTP request.
+ * The options from the body are merged into the current server's general
+ * options.
+ *
+ * @param {Express.Request} request - The Express request object.
+ * @param {string} uniqueId - The unique ID of a request.
+ * @param {Object} [body=request.body] - The export arguments, the request's
+ * body by default.
+ *
+ * @returns {Object} - The final options of the export process.
+ *
+ * @throws {HttpError} - Throws an HttpError if the body of the request
+ * does not contain correct chart data.
+ */
+export const getRequestOptions = (request, uniqueId, body = request.body) => {
+  // Get the current server's general options
+  const defaultOptions = getOptions();
+
+  // Throw 'Bad Request' if there's no body
+  if (!body || isObjectEmpty(body)) {
+    throw new HttpError(
+      'The request body is required. Please ensure that your Content-Type header is correct (accepted types are application/json and multipart/form-data).',
+      400
+    );
+  }
 
-// The array of callbacks to call before a request
-const beforeRequest = [];
+  const type = fixType(body.type);
 
-// The array of callbacks to call after a request
-const afterRequest = [];
+  // All of the below can be used
+  let instr = isCorrectJSON(body.infile || body.options || body.data);
+
+  // Throw 'Bad Request' if there's no JSON or SVG to export
+  if (!instr && !body.svg) {
+    log(
+      2,
+      `The request with ID ${uniqueId} from ${
+        request.headers['x-forwarded-for'] || request.connection.remoteAddress
+      } was incorrect:
+  Content-Type: ${request.headers['content-type']}. 
+  Chart constructor: ${body.constr}.
+  Dimensions: ${body.width}x${body.height} @ ${body.scale} scale.
+  Type: ${type}.
+  Is SVG set? ${typeof body.svg !== 'undefined'}.
+  B64? ${typeof body.b64 !== 'undefined'}.
+  No download? ${typeof body.noDownload !== 'undefined'}.
+
+  Payload received: ${JSON.stringify(body.infile || body.options || body.data || body.svg)}
+
+  `
+    );
+
+    throw new HttpError(
+      "No correct chart data found. Ensure that you are using either application/json or multipart/form-data headers. If sending JSON, make sure the chart data is in the 'infile', 'options', or 'data' attribute. If sending SVG, ensure it is in the 'svg' attribute.",
+      400
+    );
+  }
+
+  body.constr = (typeof body.constr === 'string' && body.constr) || 'chart';
+
+  // Allow only the Highcharts versions kept in the cache
+  if (body.highchartsVersion && !getVersionCache(body.highchartsVersion)) {
+    throw new HttpError(
+      `The Highcharts version ${body.highchartsVersion} is not available on the server. The available versions are: ${getAvailableVersions().join(', ')}.`,
+      400
+    );
+  }
+
+  // Gather and organize options from the payload
+  const requestOptions = {
+    export: {
+      instr,
+      type,
+      constr: body.constr[0].toLowerCase() + body.constr.substr(1),
+      highchartsVersion: body.highchartsVersion,
+      height: body.height,
+      width: body.width,
+      scale: body.scale || defaultOptions.export.scale,
+      quality: body.quality,
+      backgroundColor: body.backgroundColor,
+      transparent:
+        body.transparent !== undefined
+          ? toBoolean(body.transparent)
+          : undefined,
+      globalOptions: isCorrectJSON(body.globalOptions, true),
+      themeOptions: isCorrectJSON(body.themeOptions, true)
+    },
+    customLogic: {
+      allowCodeExecution: getAllowCodeExecution(),
+      allowFileResources: false,
+      resources: isCorrectJSON(body.resources, true),
+      callback: body.callback,
+      customCode: body.customCode
+    }
+  };
+
+  if (instr) {
+    // Stringify JSON with options
+    requestOptions.export.instr = optionsStringify(
+      instr,
+      requestOptions.customLogic.allowCodeExecution
+    );
+  }
+
+  // Merge the request options into default ones
+  const options = mergeConfigOptions(defaultOptions, requestOptions);
+
+  // Save the JSON if exists
+  options.export.options = instr;
+
+  // Lastly, add the server specific arguments into options as payload
+  options.payload = {
+    svg: body.svg || false,
+    b64: body.b64 || false,
+    noDownload: body.noDownload || false,
+    priority: body.priority,
+    requestId: uniqueId
+  };
+
+  // Test xlink:href elements from payload's SVG
+  if (body.svg && isPrivateRangeUrlFound(options.payload.svg)) {
+    throw new HttpError(
+      'SVG potentially contain at least one forbidden URL in xlink:href element. Please review the SVG content and ensure that all referenced URLs comply with security policies.',
+      400
+    );
+  }
+
+  return options;
+};
 
 /**
- * Invokes an array of callback functions with specified parameters, allowing
- * customization of request handling.
+ * Sends the result of an export to the client, either as a file or as
+ * a base64 string.
  *
- * @param {Function[]} callbacks - An array of callback functions
- * to be executed.
- * @param {Express.Request} request - The Express request object.
  * @param {Express.Response} response - The Express response object.
- * @param {Object} data - An object containing parameters like id, uniqueId,
- * type, and body.
+ * @param {string} result - The result of the export, a base64 string or
+ * an SVG markup.
+ * @param {string} type - The type of the exported chart.
+ * @param {Object} payload - An object containing the b64, noDownload,
+ * and filename parameters of a request.
  *
- * @returns {boolean} - Returns a boolean indicating the overall result
- * of the callback invocations.
+ * @returns {Express.Response} - The Express response object.
  */
-const doCallbacks = (callbacks, request, response, data) => {
-  let result = true;
-  const { id, uniqueId, type, body } = data;
+export const sendResult = (response, result, type, payload) => {
+  const { b64, noDownload, filename } = payload;
+
+  // If only base64 is required, return it
+  if (b64) {
+    // SVG Exception for the Highcharts 11.3.0 version
+    if (type === 'pdf' || type == 'svg') {
+      return response.send(Buffer.from(result, 'utf8').toString('base64'));
+    }
 
-  callbacks.some((callback) => {
-    if (callback) {
-      let callResponse = callback(request, response, id, uniqueId, type, body);
+    return response.send(result);
+  }
 
-      if (callResponse !== undefined && callResponse !== true) {
-        result = callResponse;
-      }
+  // Set correct content type
+  response.header('Content-Type', reversedMime[type] || 'image/png');
 
-      return true;
-    }
-  });
+  // Decide whether to download or not chart file
+  if (!noDownload) {
+    response.attachment(`${filename || 'chart'}.${type || 'png'}`);
+  }
 
-  return result;
+  // If SVG, return plain content
+  return type === 'svg'
+    ? response.send(result)
+    : response.send(Buffer.from(result, 'base64'));
 };
 
+/**
+ * Checks if the client already has the representation with the ETag, based
+ * on the If-None-Match header of the request. Only the concrete ETags are
+ * matched, as the `*` wildcard would skip the export of any chart.
+ *
+ * @param {Express.Request} request - The Express request object.
+ * @param {string} etag - The ETag of the representation.
+ *
+ * @returns {boolean} True if the ETag matches the If-None-Match header,
+ * false otherwise.
+ */
+const isNotModified = (request, etag) => {
+  const ifNoneMatch = request.get('if-none-match');
+  return !!(
+    ifNoneMatch &&
+    ifNoneMatch
+      .split(',')
+      .some((tag) => tag.trim().replace(/^W\//, '') === etag)
+  );
+};
+
+/**
+ * Creates the ETag of an export result. The after request hooks may replace
+ * the result, so when they are registered, the hash of the final result is
+ * a part of the ETag.
+ *
+ * @param {string} key - The key identifying the chart and its representation.
+ * @param {string} [result] - The final result, when the after request hooks
+ * are registered.
+ *
+ * @returns {string} - The quoted ETag.
+ */
+const createETag = (key, result) =>
+  result === undefined
+    ? `"${key}"`
+    : `"${key}-${createHash('sha256').update(result).digest('base64url')}"`;
+
 /**
  * Handles the export requests from the client.
  *
@@ -90,142 +275,66 @@ const doCallbacks = (callbacks, request, response, data) => {
  * is complete.
  */
 const exportHandler = async (request, response, next) => {
+  let finishRequest;
   try {
+    // The draining pool waits for the whole request, hooks included
+    finishRequest = trackWork();
+
     // Start counting time
     const stopCounter = measureTime();
 
     // Create a unique ID for a request
     const uniqueId = uuid().replace(/-/g, '');
 
+    // Add the ID to all logs of the request
+    setLogContext({ requestId: uniqueId });
+
     // Get the current server's general options
     const defaultOptions = getOptions();
 
-    const body = request.body;
-    const id = ++requestsCounter;
-
-    let type = fixType(body.type);
-
-    // Throw 'Bad Request' if there's no body
-    if (!body || isObjectEmpty(body)) {
-      throw new HttpError(
-        'The request body is required. Please ensure that your Content-Type header is correct (accepted types are application/json and multipart/form-data).',
-        400
-      );
-    }
-
-    // All of the below can be used
-    let instr = isCorrectJSON(body.infile || body.options || body.data);
+    const id = nextRequestNumber();
 
-    // Throw 'Bad Request' if there's no JSON or SVG to export
-    if (!instr && !body.svg) {
-      log(
-        2,
-        `The request with ID ${uniqueId} from ${
-          request.headers['x-forwarded-for'] || request.connection.remoteAddress
-        } was incorrect:
-  Content-Type: ${request.headers['content-type']}. 
-  Chart constructor: ${body.constr}.
-  Dimensions: ${body.width}x${body.height} @ ${body.scale} scale.
-  Type: ${type}.
-  Is SVG set? ${typeof body.svg !== 'undefined'}.
-  B64? ${typeof body.b64 !== 'undefined'}.
-  No download? ${typeof body.noDownload !== 'undefined'}.
-
-  Payload received: ${JSON.stringify(body.infile || body.options || body.data || body.svg)}
-
-  `
-      );
-
-      throw new HttpError(
-        "No correct chart data found. Ensure that you are using either application/json or multipart/form-data headers. If sending JSON, make sure the chart data is in the 'infile', 'options', or 'data' attribute. If sending SVG, ensure it is in the 'svg' attribute.",
-        400
-      );
-    }
-
-    let callResponse = false;
-
-    // Call the before request functions
-    callResponse = doCallbacks(beforeRequest, request, response, {
+    // Call the before request hooks, which may also rewrite the body
+    const hookResponse = await runBeforeRequest(request, response, {
       id,
       uniqueId,
-      type,
-      body
+      type: fixType(request.body?.type),
+      body: request.body
     });
 
-    // Block the request if one of a callbacks failed
-    if (callResponse !== true) {
-      return response.send(callResponse);
+    // Block the request if one of the hooks stopped it
+    if (hookResponse !== true) {
+      return response.send(hookResponse);
     }
 
-    let connectionAborted = false;
+    // Gather the options from the request's body
+    const options = getRequestOptions(request, uniqueId);
 
-    // In case the connection is closed, force to abort further actions
-    request.socket.on('close', (hadErrors) => {
-      if (hadErrors) {
-        connectionAborted = true;
-      }
-    });
+    // Check if the request may use the priority it asks for
+    await authorizePriority(request, options.payload.priority);
 
-    log(4, `[export] Got an incoming HTTP request with ID ${uniqueId}.`);
+    const body = request.body;
+    let type = options.export.type;
 
-    body.constr = (typeof body.constr === 'string' && body.constr) || 'chart';
+    // Cancel the export when the client closes the connection
+    const signal = (options.payload.signal = createAbortSignal(response));
 
-    // Gather and organize options from the payload
-    const requestOptions = {
-      export: {
-        instr,
-        type,
-        constr: body.constr[0].toLowerCase() + body.constr.substr(1),
-        height: body.height,
-        width: body.width,
-        scale: body.scale || defaultOptions.export.scale,
-        globalOptions: isCorrectJSON(body.globalOptions, true),
-        themeOptions: isCorrectJSON(body.themeOptions, true)
-      },
-      customLogic: {
-        allowCodeExecution: getAllowCodeExecution(),
-        allowFileResources: false,
-        resources: isCorrectJSON(body.resources, true),
-        callback: body.callback,
-        customCode: body.customCode
-      }
-    };
+    // The result key identifies the chart, while the b64 changes
+    // the representation
+    const getETagKey = (resultKey) => `${resultKey}${body.b64 ? '-b64' : ''}`;
 
-    if (instr) {
-      // Stringify JSON with options
-      requestOptions.export.instr = optionsStringify(
-        instr,
-        requestOptions.customLogic.allowCodeExecution
-      );
+    // Without the after request hooks, the result depends only on the chart,
+    // so the export is skipped when the client already has it
+    const afterHooks = hasAfterRequest();
+    if (!afterHooks) {
+      options.payload.isNotModified = (resultKey) =>
+        isNotModified(request, createETag(getETagKey(resultKey)));
     }
 
-    // Merge the request options into default ones
-    const options = mergeConfigOptions(defaultOptions, requestOptions);
-
-    // Save the JSON if exists
-    options.export.options = instr;
-
-    // Lastly, add the server specific arguments into options as payload
-    options.payload = {
-      svg: body.svg || false,
-      b64: body.b64 || false,
-      noDownload: body.noDownload || false,
-      requestId: uniqueId
-    };
-
-    // Test xlink:href elements from payload's SVG
-    if (body.svg && isPrivateRangeUrlFound(options.payload.svg)) {
-      throw new HttpError(
-        'SVG potentially contain at least one forbidden URL in xlink:href element. Please review the SVG content and ensure that all referenced URLs comply with security policies.',
-        400
-      );
-    }
+    log(4, `[export] Got an incoming HTTP request with ID ${uniqueId}.`);
 
     // Start the export process
-    await startExport(options, (error, info) => {
-      // Remove the close event from the socket
-      request.socket.removeAllListeners('close');
-
+    await startExport(options, async (error, info) => {
       // After the whole exporting process
       if (defaultOptions.server.benchmarking) {
         log(
@@ -235,7 +344,7 @@ const exportHandler = async (request, response, next) => {
       }
 
       // If the connection was closed, do nothing
-      if (connectionAborted) {
+      if (signal.aborted) {
         return log(
           3,
           `[export] The client closed the connection before the chart finished processing.`
@@ -247,6 +356,12 @@ const exportHandler = async (request, response, next) => {
         throw error;
       }
 
+      // The client already has the chart
+      if (info?.notModified) {
+        response.set('ETag', createETag(getETagKey(info.resultKey)));
+        return response.status(304).end();
+      }
+
       // If data is missing, log the message and send it to the error middleware
       if (!info || !info.result) {
         throw new HttpError(
@@ -258,46 +373,300 @@ const exportHandler = async (request, response, next) => {
       // Get the type from options
       type = info.options.export.type;
 
-      // The after request callbacks
-      doCallbacks(afterRequest, request, response, { id, body: info.result });
-
-      if (info.result) {
-        // If only base64 is required, return it
-        if (body.b64) {
-          // SVG Exception for the Highcharts 11.3.0 version
-          if (type === 'pdf' || type == 'svg') {
-            return response.send(
-              Buffer.from(info.result, 'utf8').toString('base64')
-            );
-          }
-
-          return response.send(info.result);
-        }
-
-        // Set correct content type
-        response.header('Content-Type', reversedMime[type] || 'image/png');
-
-        // Decide whether to download or not chart file
-        if (!body.noDownload) {
-          response.attachment(
-            `${request.params.filename || request.body.filename || 'chart'}.${
-              type || 'png'
-            }`
-          );
-        }
-
-        // If SVG, return plain content
-        return type === 'svg'
-          ? response.send(info.result)
-          : response.send(Buffer.from(info.result, 'base64'));
+      // The after request hooks, which may also replace the result
+      const result = await runAfterRequest(request, response, {
+        id,
+        uniqueId,
+        type,
+        result: info.result
+      });
+
+      const etag = createETag(
+        getETagKey(info.resultKey),
+        afterHooks ? result : undefined
+      );
+      response.set('ETag', etag);
+
+      // The client already has the chart (checked only after the export
+      // when the after request hooks are registered)
+      if (afterHooks && isNotModified(request, etag)) {
+        return response.status(304).end();
+      }
+
+      if (result) {
+        return sendResult(response, result, type, {
+          b64: body.b64,
+          noDownload: body.noDownload,
+          filename: request.params.filename || body.filename
+        });
+      }
+    });
+  } catch (error) {
+    next(error);
+  } finally {
+    finishRequest?.();
+  }
+};
+
+/**
+ * Creates the abort signal of an export request, which is aborted when
+ * the client closes the connection before the response is finished.
+ * The signal is passed to the export process in the payload of the options.
+ *
+ * @param {Express.Response} response - The Express response object.
+ *
+ * @returns {AbortSignal} - The abort signal of the export.
+ */
+export const createAbortSignal = (response) => {
+  const controller = new AbortController();
+  response.on('close', () => {
+    if (!response.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+};
+
+/**
+ * Creates the canonical form of the query parameters of the GET /export route:
+ * sorted by the name, URL-encoded, and without the sig parameter. Used as
+ * the input of the signature and the ETag.
+ *
+ * @param {Object} query - The query parameters.
+ *
+ * @returns {string} - The canonical query string.
+ */
+export const getCanonicalQuery = (query) =>
+  Object.keys(query)
+    .filter((name) => name !== 'sig')
+    .sort()
+    .map(
+      (name) => `${encodeURIComponent(name)}=${encodeURIComponent(query[name])}`
+    )
+    .join('&');
+
+/**
+ * Creates the signature of the query parameters of the GET /export route,
+ * which is the HMAC-SHA256 of the canonical query string encoded in base64url.
+ *
+ * @param {Object} query - The query parameters, without the signature.
+ * @param {string} key - The signing key.
+ *
+ * @returns {string} - The signature to use as the sig parameter.
+ */
+export const createSignature = (query, key) =>
+  createHmac('sha256', key)
+    .update(getCanonicalQuery(query))
+    .digest('base64url');
+
+/**
+ * Verifies the signature and the expiration time of the query parameters
+ * of the GET /export route.
+ *
+ * @param {Object} query - The query parameters.
+ * @param {string} key - The signing key.
+ *
+ * @throws {HttpError} - Throws an HttpError if the signature is missing
+ * or invalid, or if the URL has expired.
+ */
+const verifySignature = (query, key) => {
+  if (!query.sig) {
+    throw new HttpError('The signature (sig parameter) is required.', 403);
+  }
+
+  const expected = Buffer.from(createSignature(query, key));
+  const received = Buffer.from(query.sig);
+  if (
+    expected.length !== received.length ||
+    !timingSafeEqual(expected, received)
+  ) {
+    throw new HttpError('The signature is invalid.', 403);
+  }
+
+  if (query.expires && Date.now() / 1000 > Number(query.expires)) {
+    throw new HttpError('The URL has expired.', 403);
+  }
+};
+
+/**
+ * Decodes a JSON query parameter, passed either as a URL-encoded JSON string
+ * or as a base64url-encoded one.
+ *
+ * @param {string} value - The value of a parameter.
+ *
+ * @returns {string} - The JSON string.
+ */
+const decodeJSONParam = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  const trimmed = value.trim();
+  return trimmed.startsWith('{')
+    ? trimmed
+    : Buffer.from(trimmed, 'base64url').toString('utf8');
+};
+
+/**
+ * Handles the GET export requests, which allow embedding charts directly
+ * in the img tags. The export arguments are taken from the query parameters,
+ * optionally signed with the HMAC signature.
+ *
+ * @param {Express.Request} request - The Express request object.
+ * @param {Express.Response} response - The Express response object.
+ * @param {Function} next - The next middleware function.
+ *
+ * @returns {Promise<void>} - A promise that resolves once the export process
+ * is complete.
+ */
+const getExportHandler = async (request, response, next) => {
+  let finishRequest;
+  try {
+    // The draining pool waits for the whole request, hooks included
+    finishRequest = trackWork();
+
+    // Create a unique ID for a request
+    const uniqueId = uuid().replace(/-/g, '');
+
+    // Add the ID to all logs of the request
+    setLogContext({ requestId: uniqueId });
+
+    const { signingKey, maxAge } = getOptions().server.getExport;
+    const query = request.query;
+
+    // Allow only single, plain values
+    for (const [name, value] of Object.entries(query)) {
+      if (typeof value !== 'string') {
+        throw new HttpError(
+          `The ${name} parameter must be a single string value.`,
+          400
+        );
+      }
+    }
+
+    if (signingKey) {
+      verifySignature(query, signingKey);
+    }
+
+    // Gather the export arguments from the query
+    const body = {};
+    for (const name of queryArgs) {
+      if (query[name] !== undefined) {
+        body[name] = query[name];
       }
+    }
+    body.options = decodeJSONParam(body.options);
+    body.globalOptions = decodeJSONParam(body.globalOptions);
+    body.themeOptions = decodeJSONParam(body.themeOptions);
+
+    const id = nextRequestNumber();
+
+    // Call the before request hooks, which may also rewrite the arguments
+    const hookResponse = await runBeforeRequest(request, response, {
+      id,
+      uniqueId,
+      type: fixType(body.type),
+      body
+    });
+
+    // Block the request if one of the hooks stopped it
+    if (hookResponse !== true) {
+      return response.send(hookResponse);
+    }
+
+    // Gather the options from the query's arguments
+    const options = getRequestOptions(request, uniqueId, body);
+
+    // Check if the request may use the priority it asks for
+    await authorizePriority(request, options.payload.priority);
+
+    // Only the successful responses can be cached
+    const cacheControl = maxAge ? `public, max-age=${maxAge}` : 'no-cache';
+
+    // Without the after request hooks, the result depends only on the chart,
+    // so the export is skipped when the client already has it
+    const afterHooks = hasAfterRequest();
+    if (!afterHooks) {
+      options.payload.isNotModified = (resultKey) =>
+        isNotModified(request, createETag(resultKey));
+    }
+
+    // Cancel the export when the client closes the connection
+    const signal = (options.payload.signal = createAbortSignal(response));
+
+    log(4, `[export] Got an incoming HTTP GET request with ID ${uniqueId}.`);
+
+    // Start the export process
+    await startExport(options, async (error, info) => {
+      // If the connection was closed, do nothing
+      if (signal.aborted) {
+        return log(
+          3,
+          `[export] The client closed the connection before the chart finished processing.`
+        );
+      }
+
+      // If error, log it and send it to the error middleware
+      if (error) {
+        throw error;
+      }
+
+      // The client already has the chart
+      if (info?.notModified) {
+        return response
+          .set({
+            ETag: createETag(info.resultKey),
+            'Cache-Control': cacheControl
+          })
+          .status(304)
+          .end();
+      }
+
+      // If data is missing, log the message and send it to the error middleware
+      if (!info || !info.result) {
+        throw new HttpError(
+          `Unexpected return from chart generation. Please check your request data. For the request with ID ${uniqueId}, the result is ${info?.result}.`,
+          400
+        );
+      }
+
+      // The after request hooks, which may also replace the result
+      const result = await runAfterRequest(request, response, {
+        id,
+        uniqueId,
+        type: info.options.export.type,
+        result: info.result
+      });
+
+      const etag = createETag(info.resultKey, afterHooks ? result : undefined);
+      response.set({ ETag: etag, 'Cache-Control': cacheControl });
+
+      // The client already has the chart (checked only after the export
+      // when the after request hooks are registered)
+      if (afterHooks && isNotModified(request, etag)) {
+        return response.status(304).end();
+      }
+
+      // Always send the chart inline, to be displayed by the img tags
+      return sendResult(response, result, info.options.export.type, {
+        b64: false,
+        noDownload: true
+      });
     });
   } catch (error) {
     next(error);
+  } finally {
+    finishRequest?.();
   }
 };
 
 export default (app) => {
+  /**
+   * Adds the GET /export route for handling exports with the arguments
+   * in the query parameters.
+   */
+  app.get('/export', getExportHandler);
+
   /**
    * Adds the POST / a route for handling POST requests at the root endpoint.
    */
@@ -16,16 +16,32 @@ import { readFileSync } from 'fs';
 import { join as pather } from 'path';
 import { log } from '../../logger.js';
 
-import { version } from '../../cache.js';
+import { getBrowsersInfo } from '../../browser.js';
+import { getAvailableVersions, version } from '../../cache.js';
+import { getState } from '../../instance.js';
 import { addInterval } from '../../intervals.js';
-import pool from '../../pool.js';
+import {
+  getPoolInfoJSON,
+  getQueueInfoJSON,
+  getStats,
+  isPoolReady
+} from '../../pool.js';
+import { getResultCacheStats } from '../../result_cache.js';
 import { __dirname } from '../../utils.js';
 
 const pkgFile = JSON.parse(readFileSync(pather(__dirname, 'package.json')));
 
-const serverStartTime = new Date();
-
-const successRates = [];
+/**
+ * Retrieves the state of the health routes in the current instance: the boot
+ * time and the recorded success rates.
+ *
+ * @returns {Object} - The state of the health routes.
+ */
+const getHealthState = () =>
+  getState('health', () => ({
+    serverStartTime: new Date(),
+    successRates: []
+  }));
 const recordInterval = 60 * 1000; // record every minute
 const windowSize = 30; // 30 minutes
 
@@ -36,6 +52,7 @@ const windowSize = 30; // 30 minutes
  * @returns {number} - A moving average for success ratio of the server exports.
  */
 function calculateMovingAverage() {
+  const { successRates } = getHealthState();
   const sum = successRates.reduce((a, b) => a + b, 0);
   return sum / successRates.length;
 }
@@ -48,12 +65,13 @@ function calculateMovingAverage() {
  */
 export const startSuccessRate = () =>
   setInterval(() => {
-    const stats = pool.getStats();
+    const stats = getStats();
     const successRatio =
       stats.exportAttempts === 0
         ? 1
         : (stats.performedExports / stats.exportAttempts) * 100;
 
+    const { successRates } = getHealthState();
     successRates.push(successRatio);
     if (successRates.length > windowSize) {
       successRates.shift();
@@ -62,19 +80,24 @@ export const startSuccessRate = () =>
 
 /**
  * Adds the /health and /success-moving-average routes
- * which output basic stats for the server.
+ * which output basic stats for the server, and the /ready route which fails
+ * when the server cannot take new exports, e.g. while shutting down.
  */
 export default function addHealthRoutes(app) {
   if (!app) {
     return false;
   }
 
+  // The boot time of the server is the time of setting up its routes
+  getHealthState().serverStartTime = new Date();
+
   // Start processing success rate ratio interval and save its id to the array
   // for the graceful clearing on shutdown with injected addInterval funtion
   addInterval(startSuccessRate());
 
   app.get('/health', (_, res) => {
-    const stats = pool.getStats();
+    const { serverStartTime, successRates } = getHealthState();
+    const stats = getStats();
     const period = successRates.length;
     const movingAverage = calculateMovingAverage();
 
@@ -82,6 +105,7 @@ export default function addHealthRoutes(app) {
 
     res.send({
       status: 'OK',
+      ready: isPoolReady(),
       bootTime: serverStartTime,
       uptime:
         Math.floor(
@@ -89,13 +113,19 @@ export default function addHealthRoutes(app) {
         ) + ' minutes',
       version: pkgFile.version,
       highchartsVersion: version(),
+      availableVersions: getAvailableVersions(),
       averageProcessingTime: stats.spentAverage,
       performedExports: stats.performedExports,
       failedExports: stats.droppedExports,
+      cancelledExports: stats.cancelledExports,
+      crashedExports: stats.crashedExports,
+      recycledWorkers: stats.recycledWorkers,
       exportAttempts: stats.exportAttempts,
       sucessRatio: (stats.performedExports / stats.exportAttempts) * 100,
-      // eslint-disable-next-line import/no-named-as-default-member
-      pool: pool.getPoolInfoJSON(),
+      pool: getPoolInfoJSON(),
+      browsers: getBrowsersInfo(),
+      queue: getQueueInfoJSON(),
+      resultCache: getResultCacheStats(),
 
       // Moving average
       period,
@@ -110,4 +140,18 @@ export default function addHealthRoutes(app) {
       jsonExportAttempts: stats.performedExports - stats.exportFromSvgAttempts
     });
   });
+
+  app.get('/ready', (_, res) => {
+    const ready = isPoolReady();
+
+    log(
+      4,
+      `[health.js] GET /ready [${ready ? 200 : 503}] - returning readiness.`
+    );
+
+    res.status(ready ? 200 : 503).send({
+      status: ready ? 'OK' : 'UNAVAILABLE',
+      ready
+    });
+  });
 }
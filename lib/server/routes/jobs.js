@@ -0,0 +1,296 @@
+/*******************************************************************************
+
+Highcharts Export Server
+
+Copyright (c) 2016-2024, Highsoft
+
+Licenced under the MIT licence.
+
+Additionally a valid Highcharts license is required for use.
+
+See LICENSE file in root for details.
+
+*******************************************************************************/
+
+import { v4 as uuid } from 'uuid';
+
+import { startExport } from '../../chart.js';
+import { getOptions } from '../../config.js';
+import { getState } from '../../instance.js';
+import { addInterval } from '../../intervals.js';
+import { log, logWithStack, setLogContext } from '../../logger.js';
+import { trackWork } from '../../pool.js';
+import { fixType } from '../../utils.js';
+import {
+  authorizePriority,
+  nextRequestNumber,
+  runAfterRequest,
+  runBeforeRequest
+} from '../hooks.js';
+import { getRequestOptions, sendResult } from './export.js';
+
+import HttpError from '../../errors/HttpError.js';
+
+/**
+ * Retrieves the map of all known jobs of the current instance, keyed by their
+ * ids.
+ *
+ * @returns {Map} - The map of jobs.
+ */
+const getJobs = () => getState('jobs', () => new Map());
+
+// How often to look for expired jobs
+const cleanupInterval = 30 * 1000;
+
+// The progress reported for each of the job statuses
+const progressByStatus = {
+  queued: 0,
+  processing: 50,
+  done: 100,
+  failed: 100
+};
+
+/**
+ * Removes the finished jobs that are kept longer than the configured time.
+ */
+const removeExpiredJobs = () => {
+  const ttl = getOptions().server.jobs.ttl * 1000;
+  const now = Date.now();
+  const jobs = getJobs();
+
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && now - job.finishedAt.getTime() > ttl) {
+      jobs.delete(id);
+      log(4, `[jobs] Removed the expired job with ID ${id}.`);
+    }
+  }
+};
+
+/**
+ * Returns the public representation of a job, without its result.
+ *
+ * @param {Object} job - The job object.
+ *
+ * @returns {Object} - The status information of a job.
+ */
+const getJobInfo = (job) => ({
+  id: job.id,
+  status: job.status,
+  progress: progressByStatus[job.status],
+  type: job.type,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  ...(job.error
+    ? {
+        error: {
+          statusCode: job.error.statusCode || 500,
+          message: job.error.message,
+          retryAfter: job.error.retryAfter
+        }
+      }
+    : {}),
+  links: {
+    status: `/jobs/${job.id}`,
+    result: `/jobs/${job.id}/result`
+  }
+});
+
+/**
+ * Retrieves a job with the id from the request's params.
+ *
+ * @param {Express.Request} request - The Express request object.
+ *
+ * @returns {Object} - The job object.
+ *
+ * @throws {HttpError} - Throws an HttpError if there is no such job.
+ */
+const getRequestedJob = (request) => {
+  const job = getJobs().get(request.params.id);
+  if (!job) {
+    throw new HttpError(
+      `The job with ID ${request.params.id} does not exist or has expired.`,
+      404
+    );
+  }
+  return job;
+};
+
+/**
+ * Handles the requests for creating a new export job. The before request hooks
+ * are run and the export options are validated right away, while the export
+ * itself is done in the background.
+ *
+ * @param {Express.Request} request - The Express request object.
+ * @param {Express.Response} response - The Express response object.
+ * @param {Function} next - The next middleware function.
+ *
+ * @returns {Promise<void>} - A promise that resolves once the job is created.
+ */
+const createJobHandler = async (request, response, next) => {
+  try {
+    const { maxJobs } = getOptions().server.jobs;
+    const jobs = getJobs();
+
+    // Make room for the new job if possible
+    if (jobs.size >= maxJobs) {
+      removeExpiredJobs();
+    }
+
+    if (jobs.size >= maxJobs) {
+      throw new HttpError(
+        `Too many jobs are stored at the moment (the limit is ${maxJobs}). Please try again later.`,
+        503
+      ).setExpected();
+    }
+
+    // The job id is used as the request id too
+    const id = uuid().replace(/-/g, '');
+    setLogContext({ requestId: id });
+    const number = nextRequestNumber();
+
+    // Call the before request hooks, which may also rewrite the body
+    const hookResponse = await runBeforeRequest(request, response, {
+      id: number,
+      uniqueId: id,
+      type: fixType(request.body?.type),
+      body: request.body
+    });
+
+    // Block the request if one of the hooks stopped it
+    if (hookResponse !== true) {
+      return response.send(hookResponse);
+    }
+
+    // Gather the options from the request's body
+    const options = getRequestOptions(request, id);
+
+    // Check if the request may use the priority it asks for
+    await authorizePriority(request, options.payload.priority);
+
+    // The draining pool waits for the job, and no jobs are created then
+    const finishJob = trackWork();
+
+    const body = request.body;
+    const job = {
+      id,
+      number,
+      status: 'queued',
+      type: options.export.type,
+      payload: {
+        b64: body.b64,
+        noDownload: body.noDownload,
+        filename: body.filename
+      },
+      createdAt: new Date()
+    };
+    jobs.set(id, job);
+
+    log(4, `[jobs] Created a job with ID ${id}.`);
+
+    // The job is processing as soon as a worker is acquired for it
+    options.payload.onProgress = (status) => {
+      job.status = status;
+      job.startedAt = job.startedAt || new Date();
+    };
+
+    // Do not wait for the export, the client polls for the status instead
+    startExport(options, (error, info) => {
+      job.finishedAt = new Date();
+
+      if (error || !info?.result) {
+        job.status = 'failed';
+        job.error =
+          error ||
+          new HttpError(
+            `Unexpected return from chart generation. Please check your request data. For the job with ID ${id}, the result is ${info?.result}.`,
+            400
+          );
+
+        // The expected rejections, e.g. of the full queue, come in bursts
+        return job.error.expected
+          ? log(3, `[jobs] The job with ID ${id} failed: ${job.error.message}`)
+          : logWithStack(2, job.error, `[jobs] The job with ID ${id} failed.`);
+      }
+
+      job.status = 'done';
+      job.type = info.options.export.type;
+      job.result = info.result;
+      log(4, `[jobs] The job with ID ${id} is done.`);
+    })
+      .catch((error) => {
+        job.status = 'failed';
+        job.error = error;
+        job.finishedAt = new Date();
+        logWithStack(2, error, `[jobs] The job with ID ${id} failed.`);
+      })
+      .finally(finishJob);
+
+    response.status(202).location(`/jobs/${id}`).send(getJobInfo(job));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default (app) => {
+  if (!app) {
+    return false;
+  }
+
+  // Remove the expired jobs periodically, the interval is cleared on shutdown
+  addInterval(setInterval(removeExpiredJobs, cleanupInterval));
+
+  /**
+   * Adds the POST /jobs route for creating an asynchronous export job.
+   */
+  app.post('/jobs', createJobHandler);
+
+  /**
+   * Adds the GET /jobs/:id route for checking the status of a job.
+   */
+  app.get('/jobs/:id', (request, response, next) => {
+    try {
+      response.send(getJobInfo(getRequestedJob(request)));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Adds the GET /jobs/:id/result route for getting the result of a finished
+   * job.
+   */
+  app.get('/jobs/:id/result', async (request, response, next) => {
+    try {
+      const job = getRequestedJob(request);
+
+      // Pass the original error of a failed job
+      if (job.status === 'failed') {
+        throw new HttpError(
+          `The job with ID ${job.id} failed: ${job.error.message}`,
+          job.error.statusCode || 500
+        ).setRetryAfter(job.error.retryAfter);
+      }
+
+      // The result is not ready yet
+      if (job.status !== 'done') {
+        throw new HttpError(
+          `The job with ID ${job.id} is not finished yet (status: ${job.status}).`,
+          409
+        );
+      }
+
+      // The after request hooks, which may also replace the result
+      const result = await runAfterRequest(request, response, {
+        id: job.number,
+        uniqueId: job.id,
+        type: job.type,
+        result: job.result
+      });
+
+      return sendResult(response, result, job.type, job.payload);
+    } catch (error) {
+      next(error);
+    }
+  });
+};
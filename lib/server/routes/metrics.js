@@ -0,0 +1,39 @@
+/*******************************************************************************
+
+Highcharts Export Server
+
+Copyright (c) 2016-2024, Highsoft
+
+Licenced under the MIT licence.
+
+Additionally a valid Highcharts license is required for use.
+
+See LICENSE file in root for details.
+
+*******************************************************************************/
+
+import { version } from '../../cache.js';
+import { log } from '../../logger.js';
+import { getMetrics } from '../../metrics.js';
+import { getPool, getPoolInfoJSON } from '../../pool.js';
+
+/**
+ * Adds the /metrics route which outputs the server's metrics in the Prometheus
+ * text format.
+ */
+export default function addMetricsRoute(app) {
+  if (!app) {
+    return false;
+  }
+
+  app.get('/metrics', (_, res) => {
+    log(4, '[metrics.js] GET /metrics [200] - returning server metrics.');
+
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(
+      getMetrics({
+        pool: getPool() ? getPoolInfoJSON() : undefined,
+        highchartsVersion: version()
+      })
+    );
+  });
+}
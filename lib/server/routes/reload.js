@@ -0,0 +1,68 @@
+/*******************************************************************************
+
+Highcharts Export Server
+
+Copyright (c) 2016-2024, Highsoft
+
+Licenced under the MIT licence.
+
+Additionally a valid Highcharts license is required for use.
+
+See LICENSE file in root for details.
+
+*******************************************************************************/
+
+import { envs } from '../../envs.js';
+import { reloadOptions } from '../../reload.js';
+
+import HttpError from '../../errors/HttpError.js';
+
+/**
+ * Adds the POST /config/reload route that reloads the options from the custom
+ * JSON file and the envs, and applies the changes that do not require
+ * a restart. The route requires the admin token in the hc-auth header.
+ *
+ * @param {Express} app - The Express app instance.
+ */
+export default (app) =>
+  !app
+    ? false
+    : app.post('/config/reload', async (request, response, next) => {
+        try {
+          const adminToken = envs.HIGHCHARTS_ADMIN_TOKEN;
+
+          // Check the existence of the token
+          if (!adminToken || !adminToken.length) {
+            throw new HttpError(
+              'The server is not configured to perform run-time reloads: HIGHCHARTS_ADMIN_TOKEN is not set.',
+              401
+            );
+          }
+
+          // Check if the hc-auth header contain a correct token
+          const token = request.get('hc-auth');
+          if (!token || token !== adminToken) {
+            throw new HttpError(
+              'Invalid or missing token: Set the token in the hc-auth header.',
+              401
+            );
+          }
+
+          let result;
+          try {
+            result = await reloadOptions();
+          } catch (error) {
+            throw new HttpError(error.message, 400).setError(error);
+          }
+
+          response.status(200).send({
+            statusCode: 200,
+            ...result,
+            message: result.rejected.length
+              ? `Applied ${result.applied.length} changes. The changes of ${result.rejected.join(', ')} require a restart and were rejected.`
+              : `Applied ${result.applied.length} changes.`
+          });
+        } catch (error) {
+          next(error);
+        }
+      });
@@ -22,35 +22,95 @@ import https from 'https';
 import multer from 'multer';
 
 import errorHandler from './error.js';
-import rateLimit from './rate_limit.js';
-import { log, logWithStack } from '../logger.js';
+import {
+  addAfterRequest,
+  addBeforeRequest,
+  addPriorityHook,
+  clearRequestHooks
+} from './hooks.js';
+import rateLimit, {
+  attachRateLimiting,
+  updateRateLimiting
+} from './rate_limit.js';
+import { getInstance, getState, runInInstance } from '../instance.js';
+import { log, logWithStack, runWithLogContext } from '../logger.js';
+import { traceRequest } from '../tracing.js';
 import { __dirname } from '../utils.js';
 
+import batchRoutes from './routes/batch.js';
 import vSwitchRoute from './routes/change_hc_version.js';
 import exportRoutes from './routes/export.js';
 import healthRoute from './routes/health.js';
+import jobsRoutes from './routes/jobs.js';
+import metricsRoute from './routes/metrics.js';
+import reloadRoute from './routes/reload.js';
 import uiRoute from './routes/ui.js';
 
 import ExportError from '../errors/ExportError.js';
 
-// Array of an active servers
-const activeServers = new Map();
+/**
+ * Creates the Express app of the current instance.
+ *
+ * @returns {Object} - The Express app instance.
+ */
+const createApp = () => {
+  const instance = getInstance();
+
+  // Create express app
+  const app = express();
+
+  // Handle the requests within the instance that created the app
+  app.use((_req, _res, next) => runInInstance(instance, next));
+
+  // Give every request its own context of logs
+  app.use((_req, _res, next) => runWithLogContext({}, next));
+
+  // Trace every request, continuing the trace of the caller if there is one
+  app.use(traceRequest);
+
+  // Disable the X-Powered-By header
+  app.disable('x-powered-by');
+
+  // Enable CORS support
+  app.use(cors());
+
+  // Getting a lot of RangeNotSatisfiableError exception.
+  // Even though this is a deprecated options, let's try to set it to false.
+  app.use((_req, res, next) => {
+    res.set('Accept-Ranges', 'none');
+    next();
+  });
 
-// Create express app
-const app = express();
+  // Ask the clients to reconnect elsewhere once the servers are closing
+  app.use((_req, res, next) => {
+    if (getServerState().closing) {
+      res.set('Connection', 'close');
+    }
+    next();
+  });
+
+  // Pass the requests through the rate limiter, once it is enabled
+  attachRateLimiting(app);
 
-// Disable the X-Powered-By header
-app.disable('x-powered-by');
+  return app;
+};
+
+/**
+ * Retrieves the state of the server in the current instance: the Express app
+ * and the map of active servers.
+ *
+ * @returns {Object} - The state of the server.
+ */
+const getServerState = () =>
+  getState('server', () => ({
+    app: createApp(),
 
-// Enable CORS support
-app.use(cors());
+    // Map of an active servers
+    activeServers: new Map(),
 
-// Getting a lot of RangeNotSatisfiableError exception.
-// Even though this is a deprecated options, let's try to set it to false.
-app.use((_req, res, next) => {
-  res.set('Accept-Ranges', 'none');
-  next();
-});
+    // Whether the servers are closing
+    closing: false
+  }));
 
 /**
  * Attach error handlers to the server.
@@ -89,6 +149,8 @@ const attachServerErrorHandlers = (server) => {
  * and started.
  */
 export const startServer = async (serverConfig) => {
+  const { app, activeServers } = getServerState();
+
   try {
     // TODO: Read from config/env
     // NOTE:
@@ -183,22 +245,21 @@ export const startServer = async (serverConfig) => {
     }
 
     // Enable the rate limiter if config says so
-    if (
-      serverConfig.rateLimiting &&
-      serverConfig.rateLimiting.enable &&
-      ![0, NaN].includes(serverConfig.rateLimiting.maxRequests)
-    ) {
-      rateLimit(app, serverConfig.rateLimiting);
-    }
+    updateRateLimiting(serverConfig.rateLimiting);
 
     // Set up static folder's route
     app.use(express.static(posix.join(__dirname, 'public')));
 
     // Set up routes
     healthRoute(app);
+    metricsRoute(app);
+    // The jobs and batch routes must be set before the POST /:filename route
+    jobsRoutes(app);
+    batchRoutes(app);
     exportRoutes(app);
     uiRoute(app);
     vSwitchRoute(app);
+    reloadRoute(app);
 
     // Set up centralized error handler
     errorHandler(app);
@@ -210,16 +271,46 @@ export const startServer = async (serverConfig) => {
 };
 
 /**
- * Closes all servers associated with Express app instance.
+ * Asks the clients not to keep their connections alive, and drops
+ * the kept-alive connections without requests in progress, so the clients
+ * reconnect elsewhere before the servers are closed. The servers still accept
+ * new connections.
+ */
+export const stopKeepAlive = () => {
+  const state = getServerState();
+  state.closing = true;
+  for (const server of state.activeServers.values()) {
+    server.closeIdleConnections();
+  }
+};
+
+/**
+ * Closes all servers associated with Express app instance. The servers stop
+ * accepting new connections right away, and close once the requests
+ * in progress are done. The clients of these requests are asked not to keep
+ * their connections alive.
  */
 export const closeServers = () => {
   log(4, `[server] Closing all servers.`);
-  for (const [port, server] of activeServers) {
+  const state = getServerState();
+  for (const [port, server] of state.activeServers) {
     server.close(() => {
-      activeServers.delete(port);
+      state.activeServers.delete(port);
       log(4, `[server] Closed server on port: ${port}.`);
     });
   }
+
+  stopKeepAlive();
+};
+
+/**
+ * Closes all connections of the servers associated with Express app instance,
+ * including the ones with requests still in progress.
+ */
+export const closeConnections = () => {
+  for (const server of getServerState().activeServers.values()) {
+    server.closeAllConnections();
+  }
 };
 
 /**
@@ -227,14 +318,15 @@ export const closeServers = () => {
  *
  * @returns {Array} - Servers associated with Express app instance.
  */
-export const getServers = () => activeServers;
+export const getServers = () => getServerState().activeServers;
 
 /**
  * Enable rate limiting for the server.
  *
  * @param {Object} limitConfig - Configuration object for rate limiting.
  */
-export const enableRateLimiting = (limitConfig) => rateLimit(app, limitConfig);
+export const enableRateLimiting = (limitConfig) =>
+  rateLimit(getApp(), limitConfig);
 
 /**
  * Get the Express instance.
@@ -248,7 +340,7 @@ export const getExpress = () => express;
  *
  * @returns {Object} - The Express app instance.
  */
-export const getApp = () => app;
+export const getApp = () => getServerState().app;
 
 /**
  * Apply middleware(s) to a specific path.
@@ -257,7 +349,7 @@ export const getApp = () => app;
  * @param {...Function} middlewares - The middleware functions to be applied.
  */
 export const use = (path, ...middlewares) => {
-  app.use(path, ...middlewares);
+  getApp().use(path, ...middlewares);
 };
 
 /**
@@ -267,7 +359,7 @@ export const use = (path, ...middlewares) => {
  * @param {...Function} middlewares - The middleware functions to be applied.
  */
 export const get = (path, ...middlewares) => {
-  app.get(path, ...middlewares);
+  getApp().get(path, ...middlewares);
 };
 
 /**
@@ -277,17 +369,55 @@ export const get = (path, ...middlewares) => {
  * @param {...Function} middlewares - The middleware functions to be applied.
  */
 export const post = (path, ...middlewares) => {
-  app.post(path, ...middlewares);
+  getApp().post(path, ...middlewares);
 };
 
+/**
+ * Register a hook called before every export request. The hook may validate,
+ * authorize or rewrite the request, and stop it by returning a response
+ * or rejecting with an HttpError.
+ *
+ * @param {Function} hook - The hook function, may be asynchronous.
+ *
+ * @returns {Function} - The function that unregisters the hook.
+ */
+export const beforeRequest = (hook) => addBeforeRequest(hook);
+
+/**
+ * Register a hook called after every successful export, before the result
+ * is sent. The hook may audit the export or replace its result.
+ *
+ * @param {Function} hook - The hook function, may be asynchronous.
+ *
+ * @returns {Function} - The function that unregisters the hook.
+ */
+export const afterRequest = (hook) => addAfterRequest(hook);
+
+/**
+ * Register a hook that decides if a request may use the priority it asks for.
+ * The hook is called with the request and priority, and allows it by
+ * returning true.
+ *
+ * @param {Function} hook - The hook function, may be asynchronous.
+ *
+ * @returns {Function} - The function that unregisters the hook.
+ */
+export const authorizePriority = (hook) => addPriorityHook(hook);
+
 export default {
   startServer,
+  stopKeepAlive,
   closeServers,
+  closeConnections,
   getServers,
   enableRateLimiting,
   getExpress,
   getApp,
   use,
   get,
-  post
+  post,
+  beforeRequest,
+  afterRequest,
+  authorizePriority,
+  clearRequestHooks
 };
@@ -0,0 +1,207 @@
+/*******************************************************************************
+
+Highcharts Export Server
+
+Copyright (c) 2016-2024, Highsoft
+
+Licenced under the MIT licence.
+
+Additionally a valid Highcharts license is required for use.
+
+See LICENSE file in root for details.
+
+*******************************************************************************/
+
+// The tracing relies on the OpenTelemetry API, which does nothing until a
+// tracer provider is registered. The provider, along with the OTLP exporter,
+// is loaded only when the tracing is enabled, so the spans cost next to
+// nothing otherwise.
+
+import {
+  context,
+  propagation,
+  ROOT_CONTEXT,
+  SpanKind,
+  SpanStatusCode,
+  trace
+} from '@opentelemetry/api';
+
+import { log, logWithStack } from './logger.js';
+
+// The name of the tracer, reported as the instrumentation scope of spans
+const tracerName = 'highcharts-export-server';
+
+// The tracer provider registered by the server, if the tracing is enabled
+let provider = null;
+
+/**
+ * Retrieves the tracer of the export server from the global tracer provider.
+ *
+ * @returns {Object} The tracer.
+ */
+const getTracer = () => trace.getTracer(tracerName);
+
+/**
+ * Marks a span as failed with an error.
+ *
+ * @param {Object} span - The span of the failed operation.
+ * @param {Error} error - The error of the operation.
+ */
+const failSpan = (span, error) => {
+  span.recordException(error);
+  span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+};
+
+/**
+ * Initializes the tracing by registering a tracer provider that sends
+ * the spans to an OTLP/HTTP collector. The provider also sets up the W3C
+ * Trace Context propagation, so incoming `traceparent` headers are honored.
+ * Nothing happens when the tracing is disabled or already initialized.
+ *
+ * @param {Object} tracingOptions - The tracing section of the options.
+ *
+ * @returns {Promise<void>} Promise resolving once the tracing is initialized.
+ */
+export const initTracing = async (tracingOptions) => {
+  if (provider || !tracingOptions?.enable) {
+    return;
+  }
+
+  try {
+    const [
+      {
+        BatchSpanProcessor,
+        NodeTracerProvider,
+        ParentBasedSampler,
+        TraceIdRatioBasedSampler
+      },
+      { OTLPTraceExporter },
+      { Resource }
+    ] = await Promise.all([
+      import('@opentelemetry/sdk-trace-node'),
+      import('@opentelemetry/exporter-trace-otlp-http'),
+      import('@opentelemetry/resources')
+    ]);
+
+    // Sample the new traces by the ratio, and the rest by their parent
+    const sampleRatio = Math.max(0, Math.min(+tracingOptions.sampleRatio, 1));
+
+    provider = new NodeTracerProvider({
+      resource: new Resource({
+        'service.name': tracingOptions.serviceName || tracerName
+      }),
+      sampler: new ParentBasedSampler({
+        root: new TraceIdRatioBasedSampler(isNaN(sampleRatio) ? 1 : sampleRatio)
+      }),
+      spanProcessors: [
+        new BatchSpanProcessor(
+          new OTLPTraceExporter(
+            tracingOptions.endpoint ? { url: tracingOptions.endpoint } : {}
+          )
+        )
+      ]
+    });
+    provider.register();
+
+    log(
+      3,
+      `[tracing] Sending spans to ${tracingOptions.endpoint || 'the default OTLP collector'}.`
+    );
+  } catch (error) {
+    provider = null;
+    logWithStack(2, error, '[tracing] Could not enable the tracing.');
+  }
+};
+
+/**
+ * Sends the remaining spans and unregisters the tracer provider.
+ *
+ * @returns {Promise<void>} Promise resolving once the tracing is shut down.
+ */
+export const shutdownTracing = async () => {
+  if (!provider) {
+    return;
+  }
+
+  try {
+    await provider.shutdown();
+  } catch (error) {
+    logWithStack(2, error, '[tracing] Could not send the remaining spans.');
+  }
+
+  trace.disable();
+  context.disable();
+  propagation.disable();
+  provider = null;
+};
+
+/**
+ * Runs a function within a new span, which becomes the parent of the spans
+ * started by the function. The span ends once the function settles, and
+ * is marked as failed if it throws.
+ *
+ * @param {string} name - The name of the span.
+ * @param {function} fn - The function to run, receiving the span.
+ * @param {Object} [attributes] - The attributes of the span.
+ *
+ * @returns {Promise<any>} Promise resolving to the result of the function.
+ */
+export const withSpan = (name, fn, attributes) =>
+  getTracer().startActiveSpan(name, { attributes }, async (span) => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      failSpan(span, error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+
+/**
+ * The middleware that wraps an HTTP request in a server span. The span
+ * continues the trace of the `traceparent` header, if the request has one,
+ * and ends once the response is sent or the connection is closed.
+ *
+ * @param {Object} request - The Express request object.
+ * @param {Object} response - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const traceRequest = (request, response, next) => {
+  const parentContext = propagation.extract(ROOT_CONTEXT, request.headers);
+  const span = getTracer().startSpan(
+    request.method,
+    {
+      kind: SpanKind.SERVER,
+      attributes: {
+        'http.request.method': request.method,
+        'url.path': request.path
+      }
+    },
+    parentContext
+  );
+
+  response.once('close', () => {
+    // The route is known only after the request is routed
+    if (request.route) {
+      const route = `${request.baseUrl}${request.route.path}`;
+      span.setAttribute('http.route', route);
+      span.updateName(`${request.method} ${route}`);
+    }
+
+    span.setAttribute('http.response.status_code', response.statusCode);
+    if (response.statusCode >= 500) {
+      span.setStatus({ code: SpanStatusCode.ERROR });
+    }
+    span.end();
+  });
+
+  context.with(trace.setSpan(parentContext, span), next);
+};
+
+export default {
+  initTracing,
+  shutdownTracing,
+  withSpan,
+  traceRequest
+};
@@ -84,6 +84,17 @@ export const expBackoff = async (fn, attempt = 0, ...args) => {
   }
 };
 
+// Reversed MIME types
+export const reversedMime = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  gif: 'image/gif',
+  pdf: 'application/pdf',
+  svg: 'image/svg+xml'
+};
+
 /**
  * Fixes the export type based on MIME types and file extensions.
  *
@@ -97,12 +108,14 @@ export const fixType = (type, outfile) => {
   const mimeTypes = {
     'image/png': 'png',
     'image/jpeg': 'jpeg',
+    'image/webp': 'webp',
+    'image/avif': 'avif',
     'application/pdf': 'pdf',
     'image/svg+xml': 'svg'
   };
 
   // Formats
-  const formats = ['png', 'jpeg', 'pdf', 'svg'];
+  const formats = ['png', 'jpeg', 'webp', 'avif', 'pdf', 'svg'];
 
   // Check if type and outfile's extensions are the same
   if (outfile) {
@@ -468,6 +481,7 @@ export default {
   optionsStringify,
   printLogo,
   printUsage,
+  reversedMime,
   roundNumber,
   toBoolean,
   wrapAround,
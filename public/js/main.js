@@ -15,6 +15,8 @@ const highexp = {};
     const mime = {
       'image/png': 'png',
       'image/jpeg': 'jpg',
+      'image/webp': 'webp',
+      'image/avif': 'avif',
       'image/svg+xml': 'xml',
       'application/pdf': 'pdf'
     };
@@ -64,7 +66,11 @@ const highexp = {};
           const embed = document.createElement('embed');
           embed.className = 'box-size';
 
-          if (format.value === 'image/png' || format.value === 'image/jpeg') {
+          if (
+            ['image/png', 'image/jpeg', 'image/webp', 'image/avif'].includes(
+              format.value
+            )
+          ) {
             preview.innerHTML =
               '<img src="data:' + format.value + ';base64,' + data + '"/>';
           } else if (format.value === 'image/svg+xml') {
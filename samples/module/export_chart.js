@@ -0,0 +1,40 @@
+import exporter from '../../lib/index.js';
+
+// Set the new options
+const options = exporter.setOptions({
+  export: {
+    type: 'png',
+    options: {
+      title: {
+        text: 'My Chart'
+      },
+      series: [
+        {
+          data: [1, 3, 2, 4]
+        }
+      ]
+    }
+  },
+  logging: {
+    level: 4
+  }
+});
+
+// Init the pool
+await exporter.initExport(options);
+
+try {
+  // The exported chart is returned as a buffer, nothing is written to the disk
+  const { data, type, mime, width, height, durationMs } =
+    await exporter.exportChart(options);
+
+  exporter.log(
+    4,
+    `Exported a ${width}x${height} ${type} chart (${mime}, ${data.length} bytes) in ${durationMs}ms.`
+  );
+} catch (error) {
+  exporter.logWithStack(1, error, 'Something went wrong!');
+} finally {
+  // Kill the pool when we are done with it
+  await exporter.killPool();
+}
@@ -0,0 +1,236 @@
+import { inflateRawSync } from 'zlib';
+
+import express from 'express';
+
+import { getVersionCache } from '../../lib/cache';
+import { setOptions } from '../../lib/config';
+import {
+  addInstance,
+  getState,
+  removeInstance,
+  runInInstance
+} from '../../lib/instance';
+import { initLanes } from '../../lib/lanes';
+import { setLogLevel } from '../../lib/logger';
+import { getPool } from '../../lib/pool';
+import errorHandler from '../../lib/server/error';
+import batchRoutes from '../../lib/server/routes/batch';
+
+const svg =
+  '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"></svg>';
+
+/**
+ * Reads the files of a ZIP archive from its central directory.
+ */
+const readZip = (buffer) => {
+  const files = {};
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < buffer.readUInt16LE(end + 10); i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const header = buffer.readUInt32LE(offset + 42);
+    const start =
+      header +
+      30 +
+      buffer.readUInt16LE(header + 26) +
+      buffer.readUInt16LE(header + 28);
+    const data = buffer.subarray(start, start + size);
+    files[name] = (method === 8 ? inflateRawSync(data) : data).toString();
+
+    offset +=
+      46 +
+      nameLength +
+      buffer.readUInt16LE(offset + 30) +
+      buffer.readUInt16LE(offset + 32);
+  }
+
+  return files;
+};
+
+/**
+ * Starts a server with the batch route of the instance, and a pool of
+ * the given size whose workers return the SVG input of the SVG exports as is.
+ * The acquires with the listed numbers fail.
+ */
+const startServer = async (instance, max, failing = []) => {
+  const workers = { acquired: 0, inUse: 0, peak: 0 };
+
+  await runInInstance(instance, async () => {
+    // Initialize the state of the pool before replacing the pool
+    getPool();
+    getState('pool').pool = {
+      max,
+      numPendingAcquires: () => 0,
+      acquire: () => {
+        const number = ++workers.acquired;
+        workers.peak = Math.max(workers.peak, ++workers.inUse);
+        return {
+          promise: new Promise((resolve, reject) =>
+            setTimeout(() => {
+              if (failing.includes(number)) {
+                --workers.inUse;
+                return reject(new Error('No worker.'));
+              }
+              resolve({
+                id: number,
+                page: {},
+                hcVersion: getVersionCache().hcVersion,
+                renderTime: 0
+              });
+            }, 5)
+          ),
+          abort: () => {}
+        };
+      },
+      release: () => --workers.inUse
+    };
+    getState('pool').poolConfig = { maxQueueWait: 0, acquireTimeout: 0 };
+    initLanes(max);
+  });
+
+  const app = express();
+  app.use((_req, _res, next) => runInInstance(instance, next));
+  app.use(express.json());
+  batchRoutes(app);
+  errorHandler(app);
+
+  const server = await new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return { server, url, workers };
+};
+
+const postBatch = (url, body) =>
+  fetch(`${url}/batch`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+describe('batch route', () => {
+  let instance, server;
+
+  beforeAll(() => {
+    setLogLevel(0);
+  });
+
+  beforeEach(async () => {
+    instance = addInstance();
+    await runInInstance(instance, async () => {
+      setOptions({ server: { maxBatchItems: 5 } });
+    });
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    removeInstance(instance);
+  });
+
+  it('exports the items of an array body into an archive', async () => {
+    let url;
+    ({ server, url } = await startServer(instance, 2));
+
+    const response = await postBatch(url, [
+      { svg, type: 'svg' },
+      { svg, type: 'svg', filename: 'sales' }
+    ]);
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-disposition')).toContain('charts.zip');
+
+    const files = readZip(Buffer.from(await response.arrayBuffer()));
+    expect(files['chart-1.svg']).toContain('<svg');
+    expect(files['sales.svg']).toContain('<svg');
+    expect(JSON.parse(files['manifest.json'])).toMatchObject({
+      total: 2,
+      succeeded: 2,
+      failed: 0
+    });
+  });
+
+  it('de-duplicates the file names and sanitizes the archive name', async () => {
+    let url;
+    ({ server, url } = await startServer(instance, 2));
+
+    const response = await postBatch(url, {
+      filename: '../my charts',
+      items: [
+        { svg, type: 'svg', filename: '../report' },
+        { svg, type: 'svg', filename: '../report' }
+      ]
+    });
+    expect(response.headers.get('content-disposition')).toContain(
+      '"_my_charts.zip"'
+    );
+
+    const { items } = JSON.parse(
+      readZip(Buffer.from(await response.arrayBuffer()))['manifest.json']
+    );
+    expect(items.map((item) => item.file).sort()).toEqual([
+      '_report-2.svg',
+      '_report.svg'
+    ]);
+  });
+
+  it('rejects a batch with too many items', async () => {
+    let url;
+    ({ server, url } = await startServer(instance, 2));
+
+    const response = await postBatch(
+      url,
+      Array.from({ length: 6 }, () => ({ svg, type: 'svg' }))
+    );
+    expect(response.status).toBe(400);
+    expect((await response.json()).message).toContain('the limit is 5');
+  });
+
+  it('lists the failed items in the manifest', async () => {
+    let url;
+    ({ server, url } = await startServer(instance, 1, [2]));
+
+    const response = await postBatch(url, [
+      { svg, type: 'svg' },
+      { svg, type: 'svg' },
+      { type: 'svg' }
+    ]);
+    expect(response.status).toBe(200);
+
+    const files = readZip(Buffer.from(await response.arrayBuffer()));
+    expect(Object.keys(files).sort()).toEqual(['chart-1.svg', 'manifest.json']);
+    expect(JSON.parse(files['manifest.json'])).toMatchObject({
+      succeeded: 1,
+      failed: 2,
+      items: [
+        { status: 'done' },
+        // The errors without a status code are server errors
+        { status: 'failed', error: { statusCode: 500 } },
+        { status: 'failed', error: { statusCode: 400 } }
+      ]
+    });
+  });
+
+  it('does not run more exports at once than the pool has workers', async () => {
+    let url, workers;
+    ({ server, url, workers } = await startServer(instance, 2));
+
+    // Let the lanes pass more exports than the pool has workers, so only
+    // the batch keeps the rest of the items waiting
+    await runInInstance(instance, async () => initLanes(10));
+
+    const response = await postBatch(
+      url,
+      Array.from({ length: 5 }, () => ({ svg, type: 'svg' }))
+    );
+    expect(response.status).toBe(200);
+    await response.arrayBuffer();
+
+    expect(workers.acquired).toBe(5);
+    expect(workers.peak).toBe(2);
+  });
+});
@@ -0,0 +1,234 @@
+import { EventEmitter } from 'events';
+
+import puppeteer from 'puppeteer';
+
+import {
+  close,
+  create,
+  get,
+  getBrowsersInfo,
+  newPage
+} from '../../lib/browser';
+import { setOptions } from '../../lib/config';
+import {
+  addInstance,
+  getState,
+  removeInstance,
+  runInInstance
+} from '../../lib/instance';
+import { setLogLevel } from '../../lib/logger';
+
+// The counter used for the ids of the targets of pages
+let targetsCounter = 0;
+
+// A CDP session answering every command with the result of the handler
+const createSession = (handler) => ({
+  send: async (method, params) => handler(method, params),
+  detach: async () => {}
+});
+
+// A browser that creates pages doing nothing, answers the health checks
+// unless told not to, and records the pages closed through its CDP session
+const createBrowser = () => {
+  const browser = Object.assign(new EventEmitter(), {
+    connected: true,
+    closed: false,
+    responding: true,
+    closedTargets: [],
+    version: async () => {
+      if (!browser.responding) {
+        throw new Error('The browser does not respond.');
+      }
+      return 'HeadlessChrome/127.0.6533.88';
+    },
+    close: async () => {
+      browser.closed = true;
+      await browser.disconnect();
+    },
+    disconnect: async () => {
+      browser.connected = false;
+      browser.emit('disconnected');
+    },
+    target: () => ({
+      createCDPSession: async () =>
+        createSession((_method, { targetId }) =>
+          browser.closedTargets.push(targetId)
+        )
+    })
+  });
+
+  browser.newPage = async () => {
+    const targetId = `target-${++targetsCounter}`;
+    const page = Object.assign(new EventEmitter(), {
+      targetId,
+      setCacheEnabled: async () => {},
+      setRequestInterception: async () => {},
+      setContent: async () => {},
+      addScriptTag: async () => {},
+      evaluate: async () => {},
+      close: async () => page.emit('close'),
+      createCDPSession: async () =>
+        createSession(() => ({ targetInfo: { targetId } }))
+    });
+    return page;
+  };
+
+  return browser;
+};
+
+const waitFor = async (check) => {
+  while (!check()) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+describe('newPage', () => {
+  it('spreads the pages across the connected browsers', async () => {
+    const instance = addInstance();
+
+    await runInInstance(instance, async () => {
+      setOptions({});
+      expect(getBrowsersInfo()).toEqual([]);
+
+      const [first, second, third] = [0, 1, 2].map((index) => ({
+        index,
+        browser: createBrowser(),
+        pages: 0
+      }));
+      third.browser.connected = false;
+      getState('browser').shards = [first, second, third];
+
+      const pages = [];
+      for (let i = 0; i < 3; i++) {
+        pages.push(await newPage());
+      }
+      expect(getBrowsersInfo()).toEqual([
+        { connected: true, remote: false, pages: 2 },
+        { connected: true, remote: false, pages: 1 },
+        { connected: false, remote: false, pages: 0 }
+      ]);
+
+      // A closed page frees its place in the browser
+      pages[0].emit('close');
+      expect(getBrowsersInfo()[0].pages).toBe(1);
+
+      first.browser.connected = second.browser.connected = false;
+      expect(await newPage()).toBe(false);
+    });
+
+    removeInstance(instance);
+  });
+});
+
+describe('externally managed browser', () => {
+  const { connect } = puppeteer;
+  const browserWSEndpoint = 'ws://chromium:9222/devtools/browser/id';
+
+  beforeAll(() => {
+    setLogLevel(0);
+  });
+
+  afterEach(() => {
+    puppeteer.connect = connect;
+  });
+
+  it.each([{ browserWSEndpoint }, { browserURL: 'http://chromium:9222' }])(
+    'is connected to by %o and only disconnected from on close',
+    async (connectOptions) => {
+      const instance = addInstance();
+      const browser = createBrowser();
+      const connects = [];
+      puppeteer.connect = async (options) => {
+        connects.push(options);
+        return browser;
+      };
+
+      await runInInstance(instance, async () => {
+        setOptions({
+          puppeteer: { ...connectOptions, healthCheckInterval: 0 }
+        });
+
+        // A single browser is shared by all workers
+        expect(await create([], 2)).toBe(browser);
+        expect(connects).toEqual([
+          { ...connectOptions, defaultViewport: null }
+        ]);
+        expect(getBrowsersInfo()).toEqual([
+          {
+            connected: true,
+            remote: true,
+            pages: 0,
+            restarts: 0,
+            restartedAt: null,
+            checkedAt: null
+          }
+        ]);
+
+        await close();
+        expect(browser.connected).toBe(false);
+        expect(browser.closed).toBe(false);
+        expect(connects).toHaveLength(1);
+      });
+
+      removeInstance(instance);
+    }
+  );
+
+  it('is checked periodically and connected to again when it does not respond', async () => {
+    const instance = addInstance();
+    const browsers = [createBrowser(), createBrowser()];
+    let connects = 0;
+    puppeteer.connect = async () => browsers[connects++];
+
+    await runInInstance(instance, async () => {
+      setOptions({ puppeteer: { browserWSEndpoint, healthCheckInterval: 10 } });
+      await create([]);
+
+      await waitFor(() => getBrowsersInfo()[0].checkedAt);
+
+      // The browser stops responding and is connected to again
+      browsers[0].responding = false;
+      await waitFor(() => getBrowsersInfo()[0].restarts === 1);
+      expect(browsers[0].connected).toBe(false);
+      expect(get()).toBe(browsers[1]);
+      expect(getBrowsersInfo()[0]).toMatchObject({
+        connected: true,
+        remote: true
+      });
+
+      await close();
+    });
+
+    removeInstance(instance);
+  });
+
+  it('closes the pages left open after connecting to it again', async () => {
+    const instance = addInstance();
+    const browsers = [createBrowser(), createBrowser()];
+    let connects = 0;
+    puppeteer.connect = async () => browsers[connects++];
+
+    await runInInstance(instance, async () => {
+      setOptions({ puppeteer: { browserWSEndpoint, healthCheckInterval: 0 } });
+      await create([]);
+
+      const pages = [await newPage(), await newPage(), await newPage()];
+      await pages[0].close();
+      expect(getBrowsersInfo()[0].pages).toBe(2);
+
+      // The connection breaks, while the browser keeps the pages open
+      await browsers[0].disconnect();
+      await waitFor(() => browsers[1].closedTargets.length);
+      expect(getBrowsersInfo()[0].restarts).toBe(1);
+      expect(browsers[1].closedTargets).toEqual([
+        pages[1].targetId,
+        pages[2].targetId
+      ]);
+      expect(getBrowsersInfo()[0].pages).toBe(0);
+
+      await close();
+    });
+
+    removeInstance(instance);
+  });
+});
@@ -0,0 +1,110 @@
+import {
+  existsSync,
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  writeFileSync
+} from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { gunzipSync, gzipSync } from 'zlib';
+
+import {
+  installCache,
+  packCache,
+  readCacheBundle
+} from '../../lib/cache_bundle';
+import { setLogLevel } from '../../lib/logger';
+
+describe('cache bundle', () => {
+  let tempPath;
+  let cachePath;
+  let bundlePath;
+
+  beforeAll(() => {
+    setLogLevel(0);
+  });
+
+  beforeEach(() => {
+    tempPath = mkdtempSync(join(tmpdir(), 'cache-bundle-'));
+    cachePath = join(tempPath, 'cache');
+    bundlePath = join(tempPath, 'bundle.gz');
+
+    mkdirSync(join(cachePath, 'versions', '10'), { recursive: true });
+    writeFileSync(
+      join(cachePath, 'manifest.json'),
+      JSON.stringify({ version: '11.4.8', modules: { highcharts: 1 } })
+    );
+    writeFileSync(join(cachePath, 'sources.js'), '/* Highcharts 11.4.8 */');
+    writeFileSync(
+      join(cachePath, 'versions', '10', 'manifest.json'),
+      JSON.stringify({ version: '10', modules: { highcharts: 1 } })
+    );
+    writeFileSync(
+      join(cachePath, 'versions', '10', 'sources.js'),
+      '/* Highcharts 10.3.3 */'
+    );
+  });
+
+  afterEach(() => {
+    rmSync(tempPath, { recursive: true, force: true });
+  });
+
+  it('packs the cache and installs it into another directory', () => {
+    const packed = packCache(cachePath, bundlePath);
+    expect(packed.version).toBe('11.4.8');
+    expect(packed.files).toEqual([
+      'manifest.json',
+      'sources.js',
+      'versions/10/manifest.json',
+      'versions/10/sources.js'
+    ]);
+
+    const installPath = join(tempPath, 'installed');
+    const installed = installCache(installPath, bundlePath);
+    expect(installed).toEqual(packed);
+    expect(
+      readFileSync(join(installPath, 'versions', '10', 'sources.js'), 'utf8')
+    ).toBe('/* Highcharts 10.3.3 */');
+  });
+
+  it('throws when there is no cache to pack', () => {
+    rmSync(join(cachePath, 'sources.js'));
+    expect(() => packCache(cachePath, bundlePath)).toThrow(/sources\.js/);
+  });
+
+  it('rejects a bundle with a mismatched checksum', () => {
+    packCache(cachePath, bundlePath);
+
+    const bundle = JSON.parse(gunzipSync(readFileSync(bundlePath)));
+    bundle.files[1].content = Buffer.from('/* Highcharts 11.4.9 */').toString(
+      'base64'
+    );
+    writeFileSync(bundlePath, gzipSync(JSON.stringify(bundle)));
+
+    expect(() => readCacheBundle(bundlePath)).toThrow(/checksum/);
+  });
+
+  it('rejects a bundle with a forbidden path without writing anything', () => {
+    packCache(cachePath, bundlePath);
+
+    const bundle = JSON.parse(gunzipSync(readFileSync(bundlePath)));
+    bundle.files[3].path = '../sources.js';
+    writeFileSync(bundlePath, gzipSync(JSON.stringify(bundle)));
+
+    const installPath = join(tempPath, 'installed');
+    expect(() => installCache(installPath, bundlePath)).toThrow(
+      /forbidden path/
+    );
+    expect(existsSync(installPath)).toBe(false);
+  });
+
+  it('rejects a file that is not a cache bundle', () => {
+    writeFileSync(bundlePath, gzipSync(JSON.stringify({ files: [] })));
+    expect(() => readCacheBundle(bundlePath)).toThrow(/not a supported/);
+
+    writeFileSync(bundlePath, 'plain text');
+    expect(() => readCacheBundle(bundlePath)).toThrow(/Could not read/);
+  });
+});
@@ -0,0 +1,22 @@
+import { exportChart } from '../../lib/chart';
+import { setOptions } from '../../lib/config';
+import { setLogLevel } from '../../lib/logger';
+
+describe('exportChart', () => {
+  beforeAll(() => {
+    setOptions({ logging: { level: 0 } });
+    setLogLevel(0);
+  });
+
+  it('rejects when there is no input', async () => {
+    await expect(exportChart({ export: {} })).rejects.toThrow(
+      /No valid input specified/
+    );
+  });
+
+  it('rejects when the export fails', async () => {
+    await expect(
+      exportChart({ export: { options: { series: [{ data: [1] }] } } })
+    ).rejects.toThrow(/pool has not been started/);
+  });
+});
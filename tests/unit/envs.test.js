@@ -48,6 +48,23 @@ describe('Environment variables should be correctly parsed', () => {
     expect(() => Config.partial().parse(env)).toThrow();
   });
 
+  test('HIGHCHARTS_CACHED_VERSIONS accepts a list of version strings', () => {
+    const env = { HIGHCHARTS_CACHED_VERSIONS: '10, 11.4.8,latest' };
+    expect(Config.partial().parse(env).HIGHCHARTS_CACHED_VERSIONS).toEqual([
+      '10',
+      '11.4.8',
+      'latest'
+    ]);
+
+    env.HIGHCHARTS_CACHED_VERSIONS = '';
+    expect(
+      Config.partial().parse(env).HIGHCHARTS_CACHED_VERSIONS
+    ).toBeUndefined();
+
+    env.HIGHCHARTS_CACHED_VERSIONS = '11,../12';
+    expect(() => Config.partial().parse(env)).toThrow();
+  });
+
   test('HIGHCHARTS_CDN_URL should start with http:// or https://', () => {
     const env = { HIGHCHARTS_CDN_URL: 'http://example.com' };
     expect(Config.partial().parse(env).HIGHCHARTS_CDN_URL).toEqual(
@@ -84,4 +101,18 @@ describe('Environment variables should be correctly parsed', () => {
     env.HIGHCHARTS_FORCE_FETCH = 'false';
     expect(Config.partial().parse(env).HIGHCHARTS_FORCE_FETCH).toEqual(false);
   });
+
+  test('EXPORT_QUALITY should be a number between 1 and 100', () => {
+    const env = { EXPORT_QUALITY: '95' };
+    expect(Config.partial().parse(env).EXPORT_QUALITY).toEqual(95);
+
+    env.EXPORT_QUALITY = '';
+    expect(Config.partial().parse(env).EXPORT_QUALITY).toEqual(undefined);
+
+    env.EXPORT_QUALITY = '0';
+    expect(() => Config.partial().parse(env)).toThrow();
+
+    env.EXPORT_QUALITY = '101';
+    expect(() => Config.partial().parse(env)).toThrow();
+  });
 });
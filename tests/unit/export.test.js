@@ -0,0 +1,129 @@
+import express from 'express';
+
+import { getVersionCache } from '../../lib/cache';
+import { setOptions } from '../../lib/config';
+import {
+  addInstance,
+  getState,
+  removeInstance,
+  runInInstance
+} from '../../lib/instance';
+import { setLogLevel } from '../../lib/logger';
+import { getPool } from '../../lib/pool';
+import errorHandler from '../../lib/server/error';
+import exportRoutes from '../../lib/server/routes/export';
+
+const svg =
+  '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"></svg>';
+
+/**
+ * Starts a server with the export routes of the instance, and a pool with
+ * a worker whose page renders every chart as the same SVG.
+ */
+const startServer = async (instance) => {
+  const workers = { acquired: 0 };
+
+  await runInInstance(instance, async () => {
+    // Initialize the state of the pool before replacing the pool
+    getPool();
+    getState('pool').pool = {
+      max: 1,
+      numPendingAcquires: () => 0,
+      acquire: () => {
+        ++workers.acquired;
+        return {
+          promise: Promise.resolve({
+            id: 1,
+            page: {
+              evaluate: async () => ({ chartHeight: 10, chartWidth: 10 }),
+              $eval: async (selector) =>
+                selector === '#chart-container'
+                  ? { x: 0, y: 0, width: 10, height: 10 }
+                  : svg,
+              setViewport: async () => {}
+            },
+            hcVersion: getVersionCache().hcVersion,
+            renderTime: 0
+          }),
+          abort: () => {}
+        };
+      },
+      release: () => {}
+    };
+    getState('pool').poolConfig = { maxQueueWait: 0, acquireTimeout: 0 };
+  });
+
+  const app = express();
+  app.use((_req, _res, next) => runInInstance(instance, next));
+  app.use(express.json());
+  exportRoutes(app);
+  errorHandler(app);
+
+  const server = await new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return { server, url, workers };
+};
+
+describe('GET /export route', () => {
+  let instance, server, url, workers;
+
+  const getChart = (headers) =>
+    fetch(
+      `${url}/export?type=svg&options=${encodeURIComponent(
+        JSON.stringify({ series: [{ data: [1, 2, 3] }] })
+      )}`,
+      { headers }
+    );
+
+  beforeAll(() => {
+    setLogLevel(0);
+  });
+
+  beforeEach(async () => {
+    instance = addInstance();
+    await runInInstance(instance, async () => {
+      setOptions();
+    });
+    ({ server, url, workers } = await startServer(instance));
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    removeInstance(instance);
+  });
+
+  it('answers the request for the chart the client has without the export', async () => {
+    const response = await getChart();
+    expect(response.status).toBe(200);
+    expect(await response.text()).toContain('<svg');
+
+    const etag = response.headers.get('etag');
+    expect(workers.acquired).toBe(1);
+
+    const cached = await getChart({ 'If-None-Match': `W/${etag}` });
+    expect(cached.status).toBe(304);
+    expect(cached.headers.get('etag')).toBe(etag);
+    expect(workers.acquired).toBe(1);
+  });
+
+  it('changes the ETag along with the default options', async () => {
+    const etag = (await getChart()).headers.get('etag');
+
+    await runInInstance(instance, async () => {
+      setOptions({ export: { backgroundColor: '#eeeeee' } });
+    });
+
+    const response = await getChart({ 'If-None-Match': etag });
+    expect(response.status).toBe(200);
+    expect(response.headers.get('etag')).not.toBe(etag);
+  });
+
+  it('does not answer the wildcard ETag without the export', async () => {
+    const response = await getChart({ 'If-None-Match': '*' });
+    expect(response.status).toBe(200);
+    expect(workers.acquired).toBe(1);
+  });
+});
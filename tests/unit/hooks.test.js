@@ -0,0 +1,73 @@
+import {
+  addAfterRequest,
+  addBeforeRequest,
+  clearRequestHooks,
+  runAfterRequest,
+  runBeforeRequest
+} from '../../lib/server/hooks';
+import HttpError from '../../lib/errors/HttpError';
+
+const data = { id: 1, uniqueId: 'abc', type: 'png' };
+
+describe('request hooks', () => {
+  afterEach(() => {
+    clearRequestHooks();
+  });
+
+  it('awaits the before request hooks, which may rewrite the body', async () => {
+    const body = { type: 'png' };
+    addBeforeRequest(async (request, response, id, uniqueId, type, body) => {
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      body.width = 400;
+    });
+    addBeforeRequest((request, response, id, uniqueId, type, body) => {
+      body.height = body.width / 2;
+      return true;
+    });
+
+    expect(await runBeforeRequest({}, {}, { ...data, body })).toBe(true);
+    expect(body).toEqual({ type: 'png', width: 400, height: 200 });
+  });
+
+  it('stops at the first hook that returns a response', async () => {
+    const calls = [];
+    addBeforeRequest(() => calls.push('first') && 'Blocked');
+    addBeforeRequest(() => calls.push('second'));
+
+    expect(await runBeforeRequest({}, {}, { ...data, body: {} })).toBe(
+      'Blocked'
+    );
+    expect(calls).toEqual(['first']);
+  });
+
+  it('passes the rejections of hooks', async () => {
+    addBeforeRequest(async () => {
+      throw new HttpError('Unauthorized.', 401);
+    });
+
+    await expect(
+      runBeforeRequest({}, {}, { ...data, body: {} })
+    ).rejects.toMatchObject({ statusCode: 401, message: 'Unauthorized.' });
+  });
+
+  it('lets the after request hooks replace the result', async () => {
+    addAfterRequest(async (request, response, id, uniqueId, type, result) =>
+      result.toUpperCase()
+    );
+    addAfterRequest(() => undefined);
+    const remove = addAfterRequest((...args) => `${args[5]}!`);
+
+    expect(await runAfterRequest({}, {}, { ...data, result: 'svg' })).toBe(
+      'SVG!'
+    );
+
+    remove();
+    expect(await runAfterRequest({}, {}, { ...data, result: 'svg' })).toBe(
+      'SVG'
+    );
+  });
+
+  it('accepts only functions', () => {
+    expect(() => addBeforeRequest('hook')).toThrow(/must be a function/);
+  });
+});
@@ -0,0 +1,75 @@
+import exporter from '../../lib/index';
+import { getAllowCodeExecution, setAllowCodeExecution } from '../../lib/chart';
+import { getOptions } from '../../lib/config';
+import {
+  addInstance,
+  getInstance,
+  getInstances,
+  getState,
+  removeInstance,
+  runInInstance
+} from '../../lib/instance';
+import {
+  addBeforeRequest,
+  clearRequestHooks,
+  runBeforeRequest
+} from '../../lib/server/hooks';
+
+describe('instances', () => {
+  it('keep a separate state of every module', async () => {
+    const instance = addInstance();
+    const counter = () => ++getState('counter', () => ({ value: 0 })).value;
+
+    expect(counter()).toBe(1);
+    expect(
+      await runInInstance(instance, async () => {
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        expect(getInstance()).toBe(instance);
+        return counter();
+      })
+    ).toBe(1);
+    expect(counter()).toBe(2);
+    expect(getInstance().id).toBe('default');
+
+    setAllowCodeExecution(false);
+    runInInstance(instance, setAllowCodeExecution, true);
+    expect(getAllowCodeExecution()).toBe(false);
+    expect(runInInstance(instance, getAllowCodeExecution)).toBe(true);
+
+    removeInstance(instance);
+    expect(getInstances()).not.toContain(instance);
+  });
+
+  it('never remove the default instance', () => {
+    removeInstance(getInstance());
+    expect(getInstances()).toContain(getInstance());
+  });
+});
+
+describe('createExporter', () => {
+  it('creates exporters with their own options and state', async () => {
+    const first = exporter.createExporter({ server: { port: 7811 } });
+    const second = exporter.createExporter({
+      server: { port: 7812 },
+      highcharts: { version: '10.3.3' }
+    });
+
+    expect(first.id).not.toBe(second.id);
+    expect(first.getOptions().server.port).toBe(7811);
+    expect(second.getOptions().server.port).toBe(7812);
+    expect(first.getOptions().highcharts.version).not.toBe('10.3.3');
+    expect(second.getOptions().highcharts.version).toBe('10.3.3');
+    expect(getOptions().server?.port).not.toBe(7812);
+
+    // The hooks of an exporter are not run by others
+    second.server.beforeRequest(() => 'blocked');
+    expect(await runBeforeRequest({}, {}, {})).toBe(true);
+    addBeforeRequest(() => 'default');
+    expect(await runBeforeRequest({}, {}, {})).toBe('default');
+    clearRequestHooks();
+
+    await first.kill();
+    await second.kill();
+    expect(getInstances().map(({ id }) => id)).toEqual(['default']);
+  });
+});
@@ -0,0 +1,169 @@
+import express from 'express';
+
+import { getVersionCache } from '../../lib/cache';
+import { setOptions } from '../../lib/config';
+import {
+  addInstance,
+  getState,
+  removeInstance,
+  runInInstance
+} from '../../lib/instance';
+import { clearAllIntervals } from '../../lib/intervals';
+import { setLogLevel } from '../../lib/logger';
+import { getPool } from '../../lib/pool';
+import errorHandler from '../../lib/server/error';
+import jobsRoutes from '../../lib/server/routes/jobs';
+
+const svg =
+  '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"></svg>';
+
+/**
+ * Starts a server with the jobs routes of the instance, and a pool whose
+ * workers are handed out only once the test settles their acquires.
+ */
+const startServer = async (instance) => {
+  const acquires = [];
+
+  await runInInstance(instance, async () => {
+    // Initialize the state of the pool before replacing the pool
+    getPool();
+    getState('pool').pool = {
+      max: 1,
+      numPendingAcquires: () => 0,
+      acquire: () => {
+        const acquire = { abort: () => {} };
+        acquire.promise = new Promise((resolve, reject) => {
+          acquires.push({
+            // A worker that returns the SVG input of the SVG exports as is
+            resolve: () =>
+              resolve({
+                id: 1,
+                page: {},
+                hcVersion: getVersionCache().hcVersion,
+                renderTime: 0
+              }),
+            reject
+          });
+        });
+        return acquire;
+      },
+      release: () => {}
+    };
+    getState('pool').poolConfig = { maxQueueWait: 0, acquireTimeout: 0 };
+  });
+
+  const app = express();
+  app.use((_req, _res, next) => runInInstance(instance, next));
+  app.use(express.json());
+  await runInInstance(instance, async () => jobsRoutes(app));
+  errorHandler(app);
+
+  const server = await new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return { server, url, acquires };
+};
+
+const waitFor = async (check) => {
+  while (!(await check())) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+const postJob = (url) =>
+  fetch(`${url}/jobs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ svg, type: 'svg' })
+  });
+
+describe('jobs routes', () => {
+  let instance, server, url, acquires;
+
+  beforeAll(() => {
+    setLogLevel(0);
+  });
+
+  beforeEach(async () => {
+    instance = addInstance();
+    await runInInstance(instance, async () => {
+      setOptions({ server: { jobs: { maxJobs: 2, ttl: 600 } } });
+    });
+    ({ server, url, acquires } = await startServer(instance));
+  });
+
+  afterEach(async () => {
+    await runInInstance(instance, async () => clearAllIntervals());
+    await new Promise((resolve) => server.close(resolve));
+    removeInstance(instance);
+  });
+
+  it('creates a job and serves its result once it is done', async () => {
+    const response = await postJob(url);
+    expect(response.status).toBe(202);
+
+    const job = await response.json();
+    expect(response.headers.get('location')).toBe(`/jobs/${job.id}`);
+    expect(job).toMatchObject({ status: 'queued', progress: 0, type: 'svg' });
+
+    // The result is not ready before the job is done
+    const early = await fetch(`${url}/jobs/${job.id}/result`);
+    expect(early.status).toBe(409);
+
+    await waitFor(() => acquires.length);
+    acquires[0].resolve();
+    await waitFor(async () => {
+      const info = await (await fetch(`${url}/jobs/${job.id}`)).json();
+      return info.status === 'done';
+    });
+
+    const result = await fetch(`${url}/jobs/${job.id}/result`);
+    expect(result.status).toBe(200);
+    expect(await result.text()).toContain('<svg');
+  });
+
+  it('reports the error of a failed job', async () => {
+    const job = await (await postJob(url)).json();
+
+    await waitFor(() => acquires.length);
+    acquires[0].reject(new Error('No worker.'));
+    await waitFor(async () => {
+      const info = await (await fetch(`${url}/jobs/${job.id}`)).json();
+      return info.status === 'failed';
+    });
+
+    // The errors without a status code are server errors
+    const info = await (await fetch(`${url}/jobs/${job.id}`)).json();
+    expect(info).toMatchObject({ progress: 100, error: { statusCode: 500 } });
+    expect((await fetch(`${url}/jobs/${job.id}/result`)).status).toBe(500);
+  });
+
+  it('rejects new jobs when too many are stored', async () => {
+    expect((await postJob(url)).status).toBe(202);
+    expect((await postJob(url)).status).toBe(202);
+
+    const response = await postJob(url);
+    expect(response.status).toBe(503);
+    expect((await response.json()).message).toContain('Too many jobs');
+  });
+
+  it('removes the expired jobs to make room for the new ones', async () => {
+    await runInInstance(instance, async () => {
+      setOptions({ server: { jobs: { maxJobs: 1, ttl: 0 } } });
+    });
+
+    const job = await (await postJob(url)).json();
+    await waitFor(() => acquires.length);
+    acquires[0].resolve();
+    await waitFor(async () => {
+      const info = await (await fetch(`${url}/jobs/${job.id}`)).json();
+      return info.status === 'done';
+    });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    expect((await postJob(url)).status).toBe(202);
+    expect((await fetch(`${url}/jobs/${job.id}`)).status).toBe(404);
+  });
+});
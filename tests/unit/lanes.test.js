@@ -0,0 +1,83 @@
+import { addInstance, removeInstance, runInInstance } from '../../lib/instance';
+import { enterLane, getLanesInfo, initLanes, leaveLane } from '../../lib/lanes';
+import { authorizePriority, clearRequestHooks } from '../../lib/server/hooks';
+import { authorizePriority as addPriorityHook } from '../../lib/server/server';
+
+describe('lanes', () => {
+  it('serve the waiting exports in proportion to the weights', async () => {
+    const instance = addInstance();
+
+    await runInInstance(instance, async () => {
+      initLanes(1, { high: 2, normal: 1, bulk: 1 });
+
+      // The first export takes the only slot, the others wait
+      const order = [];
+      await enterLane('bulk').promise;
+      const waiting = ['bulk', 'normal', 'high', 'high', 'high'].map(
+        (priority) =>
+          enterLane(priority).promise.then(() => {
+            order.push(priority);
+            leaveLane();
+          })
+      );
+      expect(getLanesInfo()).toEqual({ high: 3, normal: 1, bulk: 1 });
+
+      leaveLane();
+      await Promise.all(waiting);
+      expect(order).toEqual(['high', 'normal', 'bulk', 'high', 'high']);
+    });
+
+    removeInstance(instance);
+  });
+
+  it('remove an aborted export from its lane', async () => {
+    const instance = addInstance();
+
+    await runInInstance(instance, async () => {
+      initLanes(1);
+      await enterLane().promise;
+
+      const lane = enterLane('high');
+      lane.abort();
+      await expect(lane.promise).rejects.toThrow('Stopped waiting');
+      expect(getLanesInfo().high).toBe(0);
+
+      expect(() => enterLane('urgent')).toThrow('unknown');
+      leaveLane();
+    });
+
+    removeInstance(instance);
+  });
+});
+
+describe('authorizePriority', () => {
+  afterEach(() => {
+    clearRequestHooks();
+  });
+
+  it('allows only the default and lower priorities without hooks', async () => {
+    await expect(authorizePriority({})).resolves.toBeUndefined();
+    await expect(authorizePriority({}, 'bulk')).resolves.toBeUndefined();
+    await expect(authorizePriority({}, 'high')).rejects.toMatchObject({
+      statusCode: 403
+    });
+    await expect(authorizePriority({}, 'urgent')).rejects.toMatchObject({
+      statusCode: 400
+    });
+  });
+
+  it('allows a priority only if all hooks allow it', async () => {
+    addPriorityHook((request) => request.premium === true);
+    await expect(
+      authorizePriority({ premium: true }, 'high')
+    ).resolves.toBeUndefined();
+    await expect(authorizePriority({}, 'high')).rejects.toMatchObject({
+      statusCode: 403
+    });
+
+    addPriorityHook(async (_request, priority) => priority !== 'high');
+    await expect(
+      authorizePriority({ premium: true }, 'high')
+    ).rejects.toMatchObject({ statusCode: 403 });
+  });
+});
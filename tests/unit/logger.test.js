@@ -0,0 +1,105 @@
+import { mkdtempSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import {
+  initLogging,
+  log,
+  logWithStack,
+  runWithLogContext,
+  setLogContext
+} from '../../lib/logger';
+
+describe('JSON logs', () => {
+  const consoleLog = console.log;
+  const lines = [];
+
+  beforeAll(() => {
+    initLogging({ level: 4, toConsole: true, toFile: false, format: 'json' });
+    console.log = (line) => lines.push(line);
+  });
+
+  afterAll(() => {
+    console.log = consoleLog;
+    initLogging({ format: 'text' });
+  });
+
+  it('contain the component and the context of a request', async () => {
+    await runWithLogContext({ requestId: 'request-1' }, async () => {
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      setLogContext({ workerId: 'worker-1' });
+      log(3, '[pool] Acquired a worker handle.');
+    });
+
+    const entry = JSON.parse(lines.at(-1));
+    expect(entry).toEqual({
+      timestamp: expect.any(String),
+      level: 'notice',
+      component: 'pool',
+      message: 'Acquired a worker handle.',
+      requestId: 'request-1',
+      workerId: 'worker-1'
+    });
+    expect(new Date(entry.timestamp).toISOString()).toBe(entry.timestamp);
+  });
+
+  it('contain the stack of an error and no context outside of requests', () => {
+    logWithStack(1, new Error('Failed.'), '[browser] Could not launch.');
+
+    const entry = JSON.parse(lines.at(-1));
+    expect(entry).toMatchObject({
+      level: 'error',
+      component: 'browser',
+      message: 'Could not launch.'
+    });
+    expect(entry.stack).toContain('Failed.');
+    expect(entry.requestId).toBeUndefined();
+  });
+});
+
+describe('Log files', () => {
+  const dest = mkdtempSync(join(tmpdir(), 'export-server-logs-'));
+
+  afterAll(() => {
+    initLogging({ toFile: false, maxSize: 0, compress: false, maxFiles: 0 });
+    rmSync(dest, { recursive: true, force: true });
+  });
+
+  it('are rotated, compressed and removed beyond the limit', async () => {
+    initLogging({
+      level: 4,
+      toConsole: false,
+      toFile: true,
+      dest,
+      file: 'test.log',
+      format: 'text',
+      // About 200 bytes
+      maxSize: 0.0002,
+      compress: true,
+      maxFiles: 2
+    });
+
+    for (let i = 0; i < 10; i++) {
+      log(3, `[test] The line number ${i} of the log file.`);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+
+    // Wait for the compression and removal of the rotated files
+    let files;
+    for (let i = 0; i < 40; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      files = readdirSync(dest).sort();
+      if (
+        files.length === 3 &&
+        files.every((name) => !/Z(-\d+)?$/.test(name))
+      ) {
+        break;
+      }
+    }
+
+    expect(files).toHaveLength(3);
+    expect(files[0]).toBe('test.log');
+    expect(files[1]).toMatch(/^test\.log\..+\.gz$/);
+    expect(files[2]).toMatch(/^test\.log\..+\.gz$/);
+  });
+});
@@ -0,0 +1,88 @@
+import { addInstance, removeInstance, runInInstance } from '../../lib/instance';
+import {
+  getMetrics,
+  observePhase,
+  recordBrowserRestart,
+  recordExport
+} from '../../lib/metrics';
+
+describe('getMetrics', () => {
+  it('counts exports by type, constructor and outcome', () => {
+    recordExport({ type: 'png', constr: 'chart' }, 'success');
+    recordExport({ type: 'png', constr: 'chart' }, 'success');
+    recordExport({ type: 'svg', constr: 'stockChart' }, 'failure');
+
+    const metrics = getMetrics();
+    expect(metrics).toContain(
+      'highcharts_export_exports_total{type="png",constructor="chart",outcome="success"} 2'
+    );
+    expect(metrics).toContain(
+      'highcharts_export_exports_total{type="svg",constructor="stockChart",outcome="failure"} 1'
+    );
+  });
+
+  it('counts unknown constructors as other', () => {
+    recordExport({ type: 'png', constr: 'customChart1' }, 'failure');
+    recordExport({ type: 'png', constr: 'customChart2' }, 'failure');
+
+    const metrics = getMetrics();
+    expect(metrics).toContain(
+      'highcharts_export_exports_total{type="png",constructor="other",outcome="failure"} 2'
+    );
+    expect(metrics).not.toContain('customChart');
+  });
+
+  it('reports cumulative histogram buckets for each phase', () => {
+    observePhase('render', 20);
+    observePhase('render', 300);
+    observePhase('unknown', 300);
+
+    const metrics = getMetrics();
+    expect(metrics).toContain(
+      'highcharts_export_phase_duration_seconds_bucket{phase="render",le="0.025"} 1'
+    );
+    expect(metrics).toContain(
+      'highcharts_export_phase_duration_seconds_bucket{phase="render",le="0.5"} 2'
+    );
+    expect(metrics).toContain(
+      'highcharts_export_phase_duration_seconds_bucket{phase="render",le="+Inf"} 2'
+    );
+    expect(metrics).toContain(
+      'highcharts_export_phase_duration_seconds_count{phase="acquire"} 0'
+    );
+    expect(metrics).not.toContain('phase="unknown"');
+  });
+
+  it('reports the pool gauges, browser restarts and cache version', () => {
+    recordBrowserRestart();
+
+    const metrics = getMetrics({
+      pool: { min: 1, max: 4, all: 2, available: 1, used: 1, pending: 3 },
+      highchartsVersion: '11.4.8'
+    });
+    expect(metrics).toContain('highcharts_export_pool_max_workers 4');
+    expect(metrics).toContain('highcharts_export_pool_pending_workers 3');
+    expect(metrics).toContain('highcharts_export_browser_restarts_total 1');
+    expect(metrics).toContain(
+      'highcharts_export_cache_info{version="11.4.8"} 1'
+    );
+  });
+
+  it('keeps separate metrics for every instance', async () => {
+    const instance = addInstance();
+    recordExport({ type: 'pdf', constr: 'ganttChart' }, 'success');
+
+    const metrics = await runInInstance(instance, async () => {
+      recordExport({ type: 'jpeg', constr: 'mapChart' }, 'success');
+      return getMetrics();
+    });
+    expect(metrics).toContain(
+      'highcharts_export_exports_total{type="jpeg",constructor="mapChart",outcome="success"} 1'
+    );
+    expect(metrics).not.toContain('type="pdf"');
+    expect(metrics).toContain('highcharts_export_browser_restarts_total 0');
+    expect(getMetrics()).not.toContain('type="jpeg"');
+
+    removeInstance(instance);
+  });
+});
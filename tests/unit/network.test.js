@@ -0,0 +1,110 @@
+import {
+  getBlockReason,
+  isPrivateAddress,
+  matchesHosts
+} from '../../lib/network';
+
+const networkOptions = {
+  allowOutbound: true,
+  allowedHosts: [],
+  deniedHosts: [],
+  blockPrivateIps: true
+};
+
+describe('isPrivateAddress', () => {
+  it('detects private, loopback and link-local addresses', () => {
+    [
+      '127.0.0.1',
+      '10.1.2.3',
+      '172.16.0.1',
+      '192.168.1.1',
+      '169.254.169.254',
+      '0.0.0.0',
+      '::1',
+      'fd00::1',
+      'fe80::1',
+      '::ffff:127.0.0.1',
+      '::7f00:1',
+      '64:ff9b::7f00:1',
+      '2002:7f00:1::1'
+    ].forEach((address) => {
+      expect(isPrivateAddress(address)).toBe(true);
+    });
+  });
+
+  it('allows public addresses', () => {
+    ['8.8.8.8', '151.101.1.1', '2606:4700::1111', '::ffff:8.8.8.8'].forEach(
+      (address) => {
+        expect(isPrivateAddress(address)).toBe(false);
+      }
+    );
+  });
+});
+
+describe('matchesHosts', () => {
+  it('matches hosts along with their subdomains', () => {
+    expect(matchesHosts('example.com', ['example.com'])).toBe(true);
+    expect(matchesHosts('cdn.example.com', ['*.example.com'])).toBe(true);
+    expect(matchesHosts('badexample.com', ['example.com'])).toBe(false);
+  });
+});
+
+describe('getBlockReason', () => {
+  it('allows the local schemes and blocks the non-HTTP ones', async () => {
+    expect(
+      await getBlockReason('data:image/png;base64,AAAA', networkOptions)
+    ).toBe(false);
+    expect(await getBlockReason('file:///etc/passwd', networkOptions)).toMatch(
+      /scheme/
+    );
+  });
+
+  it('blocks all requests when the outbound network is disabled', async () => {
+    expect(
+      await getBlockReason('https://8.8.8.8/', {
+        ...networkOptions,
+        allowOutbound: false
+      })
+    ).toMatch(/disabled/);
+  });
+
+  it('applies the allowed and denied hosts', async () => {
+    const options = {
+      ...networkOptions,
+      allowedHosts: ['8.8.8.8'],
+      deniedHosts: ['1.1.1.1']
+    };
+    expect(await getBlockReason('https://8.8.8.8/a.png', options)).toBe(false);
+    expect(await getBlockReason('https://1.1.1.1/', options)).toMatch(/denied/);
+    expect(await getBlockReason('https://9.9.9.9/', options)).toMatch(
+      /not allowed/
+    );
+  });
+
+  it('blocks the private addresses, also after resolving', async () => {
+    expect(
+      await getBlockReason('http://169.254.169.254/latest', networkOptions)
+    ).toMatch(/private/);
+    expect(await getBlockReason('http://[::1]:7801/', networkOptions)).toMatch(
+      /private/
+    );
+    expect(
+      await getBlockReason('http://localhost:7801/', networkOptions)
+    ).toMatch(/private/);
+    expect(
+      await getBlockReason('http://[64:ff9b::7f00:1]/', networkOptions)
+    ).toMatch(/private/);
+    expect(await getBlockReason('http://[::7f00:1]/', networkOptions)).toMatch(
+      /private/
+    );
+    expect(
+      await getBlockReason('http://[2002:a9fe:a9fe::1]/', networkOptions)
+    ).toMatch(/private/);
+    expect(
+      await getBlockReason('http://127.0.0.1/', {
+        ...networkOptions,
+        blockPrivateIps: false
+      })
+    ).toBe(false);
+  });
+});
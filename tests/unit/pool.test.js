@@ -0,0 +1,362 @@
+import { EventEmitter } from 'events';
+
+import puppeteer from 'puppeteer';
+
+import { getBrowsersInfo } from '../../lib/browser';
+import { getOptions, setOptions } from '../../lib/config';
+import {
+  addInstance,
+  getState,
+  removeInstance,
+  runInInstance
+} from '../../lib/instance';
+import { setLogLevel } from '../../lib/logger';
+import {
+  drainPool,
+  getQueueInfoJSON,
+  getStats,
+  initPool,
+  isPoolReady,
+  killPool,
+  postWork,
+  trackWork
+} from '../../lib/pool';
+
+const svg =
+  '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"></svg>';
+
+// A browser whose pages render every chart as the same SVG, taking the set
+// time and reporting the set metrics, and whose rendering hangs until
+// the browser crashes when requested
+const createBrowser = () => {
+  const browser = Object.assign(new EventEmitter(), {
+    connected: true,
+    pages: [],
+    hang: false,
+    renderTime: 0,
+    metrics: { JSHeapUsedSize: 0, Nodes: 0 },
+    measured: 0,
+    close: async () => {},
+    crash: () => {
+      browser.connected = false;
+      browser.emit('disconnected');
+    }
+  });
+
+  browser.newPage = async () => {
+    const page = Object.assign(new EventEmitter(), {
+      browser: () => browser,
+      isClosed: () => false,
+      close: async () => page.emit('close'),
+      setCacheEnabled: async () => {},
+      setContent: async () => {},
+      addScriptTag: async () => {},
+      setViewport: async () => {},
+      evaluate: async () => {
+        if (!browser.connected) {
+          throw new Error('Target closed.');
+        }
+        if (browser.hang) {
+          return new Promise((_resolve, reject) =>
+            browser.once('disconnected', () =>
+              reject(new Error('Target closed.'))
+            )
+          );
+        }
+        await new Promise((resolve) => setTimeout(resolve, browser.renderTime));
+        return { chartHeight: 10, chartWidth: 10 };
+      },
+      metrics: async () => {
+        ++browser.measured;
+        return browser.metrics;
+      },
+      $eval: async (selector) =>
+        selector === '#chart-container'
+          ? { x: 0, y: 0, width: 10, height: 10 }
+          : svg
+    });
+    browser.pages.push(page);
+    return page;
+  };
+
+  return browser;
+};
+
+// The options of an SVG export
+const getExportOptions = () => ({
+  ...getOptions(),
+  export: { ...getOptions().export, type: 'svg' },
+  payload: {}
+});
+
+describe('postWork', () => {
+  beforeAll(() => {
+    setLogLevel(0);
+  });
+
+  it('does not start an export that is already cancelled', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    const { cancelledExports, droppedExports } = getStats();
+    await expect(
+      postWork(
+        { series: [] },
+        { export: { type: 'png' }, payload: { signal: controller.signal } }
+      )
+    ).rejects.toThrow('The export was cancelled.');
+
+    expect(getStats().cancelledExports).toBe(cancelledExports + 1);
+    expect(getStats().droppedExports).toBe(droppedExports);
+  });
+
+  it('skips an export whose result the client already has', async () => {
+    const instance = addInstance();
+
+    await runInInstance(instance, async () => {
+      const resultKeys = [];
+      const info = await postWork(
+        { series: [] },
+        {
+          export: { type: 'png' },
+          payload: {
+            isNotModified: (resultKey) => resultKeys.push(resultKey) > 0
+          }
+        }
+      );
+
+      expect(info).toMatchObject({ notModified: true });
+      expect(info.resultKey).toBe(resultKeys[0]);
+      expect(info.result).toBeUndefined();
+    });
+
+    removeInstance(instance);
+  });
+
+  it('rejects an export when the queue is full', async () => {
+    const instance = addInstance();
+
+    await runInInstance(instance, async () => {
+      // A busy pool with two exports waiting for a worker
+      getStats().spentAverage = 1000;
+      getState('pool').pool = { max: 2, numPendingAcquires: () => 2 };
+      getState('pool').poolConfig = { maxQueueSize: 2, maxQueueWait: 0 };
+
+      await expect(
+        postWork({ series: [] }, { export: { type: 'png' } })
+      ).rejects.toMatchObject({ statusCode: 503, retryAfter: 2 });
+
+      expect(getQueueInfoJSON()).toMatchObject({
+        depth: 2,
+        maxSize: 2,
+        rejected: 1
+      });
+    });
+
+    removeInstance(instance);
+  });
+
+  it('lets the exports in progress finish and rejects new ones when draining', async () => {
+    const instance = addInstance();
+
+    await runInInstance(instance, async () => {
+      // Not ready until started
+      expect(isPoolReady()).toBe(false);
+
+      // A pool that fails to acquire a worker once told to
+      let fail;
+      getState('pool').pool = {
+        max: 1,
+        numPendingAcquires: () => 0,
+        acquire: () => ({
+          promise: new Promise((_resolve, reject) => {
+            fail = () => reject(new Error('No worker.'));
+          }),
+          abort: () => {}
+        })
+      };
+      getState('pool').poolConfig = { maxQueueWait: 0, acquireTimeout: 0 };
+
+      const inProgress = postWork({ series: [] }, { export: { type: 'png' } });
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      expect(isPoolReady()).toBe(true);
+
+      let drained;
+      const draining = drainPool(1000).then((result) => (drained = result));
+      expect(isPoolReady()).toBe(false);
+      await expect(
+        postWork({ series: [] }, { export: { type: 'png' } })
+      ).rejects.toMatchObject({ statusCode: 503, retryAfter: 1 });
+      expect(drained).toBeUndefined();
+
+      fail();
+      await expect(inProgress).rejects.toThrow('acquiring');
+      await draining;
+      expect(drained).toBe(true);
+    });
+
+    removeInstance(instance);
+  });
+});
+
+describe('trackWork', () => {
+  it('lets the draining pool wait for the work and rejects new work', async () => {
+    const instance = addInstance();
+
+    await runInInstance(instance, async () => {
+      // A job or a batch outside of the pool
+      const finishWork = trackWork();
+
+      let drained;
+      const draining = drainPool(1000).then((result) => (drained = result));
+      expect(() => trackWork()).toThrow('shutting down');
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      expect(drained).toBeUndefined();
+
+      finishWork();
+      finishWork();
+      await draining;
+      expect(drained).toBe(true);
+    });
+
+    removeInstance(instance);
+  });
+});
+
+describe('crash recovery', () => {
+  const { launch } = puppeteer;
+
+  afterEach(() => {
+    puppeteer.launch = launch;
+  });
+
+  it('fails the export of a crashed browser as retryable and rebuilds the workers', async () => {
+    const instance = addInstance();
+
+    // The browser launched again is handed out once the test lets it
+    const browsers = [createBrowser(), createBrowser()];
+    let relaunch;
+    const relaunched = new Promise((resolve) => (relaunch = resolve));
+    puppeteer.launch = async () =>
+      browsers[0].connected ? browsers[0] : (await relaunched, browsers[1]);
+
+    await runInInstance(instance, async () => {
+      setOptions({ pool: { minWorkers: 1, maxWorkers: 1 } });
+      await initPool({ pool: getOptions().pool, puppeteerArgs: [] });
+      expect(browsers[0].pages).toHaveLength(1);
+
+      // The browser crashes while rendering a chart
+      browsers[0].hang = true;
+      const inFlight = postWork({ chart: {} }, getExportOptions());
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      browsers[0].crash();
+
+      const { crashedExports } = getStats();
+      await expect(inFlight).rejects.toMatchObject({
+        statusCode: 503,
+        retryAfter: expect.any(Number)
+      });
+      expect(getStats().crashedExports).toBe(crashedExports + 1);
+
+      // The workers are rebuilt in the browser launched again
+      relaunch();
+      while (!browsers[1].pages.length) {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+      }
+      expect(getBrowsersInfo()[0]).toMatchObject({
+        connected: true,
+        restarts: 1
+      });
+
+      // The rebuilt worker serves the next export
+      const info = await postWork(svg, getExportOptions());
+      expect(info.result).toBe(svg);
+      expect(browsers[1].pages).toHaveLength(1);
+
+      await killPool();
+    });
+
+    removeInstance(instance);
+  });
+});
+
+describe('worker recycling', () => {
+  const { launch } = puppeteer;
+
+  afterEach(() => {
+    puppeteer.launch = launch;
+  });
+
+  // Runs two exports in a pool of one worker, and returns the browser along
+  // with the number of recycled workers
+  const runExports = async (limits, metrics, renderTime) => {
+    const instance = addInstance();
+    const browser = createBrowser();
+    Object.assign(browser, { metrics, renderTime });
+    puppeteer.launch = async () => browser;
+
+    const recycled = await runInInstance(instance, async () => {
+      setOptions({ pool: { minWorkers: 1, maxWorkers: 1, ...limits } });
+      await initPool({ pool: getOptions().pool, puppeteerArgs: [] });
+
+      const { recycledWorkers } = getStats();
+      for (let i = 0; i < 2; i++) {
+        const info = await postWork({ chart: {} }, getExportOptions());
+        expect(info.result).toBe(svg);
+      }
+      const recycled = getStats().recycledWorkers - recycledWorkers;
+
+      await killPool();
+      return recycled;
+    });
+
+    removeInstance(instance);
+    return { browser, recycled };
+  };
+
+  it.each([
+    [
+      'JS heap size',
+      { maxHeapSize: 100 },
+      { JSHeapUsedSize: 200 * 1024 * 1024, Nodes: 100 },
+      0
+    ],
+    [
+      'number of DOM nodes',
+      { maxDomNodes: 1000 },
+      { JSHeapUsedSize: 1024 * 1024, Nodes: 5000 },
+      0
+    ],
+    [
+      'total render time',
+      { maxRenderTime: 5 },
+      { JSHeapUsedSize: 1024 * 1024, Nodes: 100 },
+      10
+    ]
+  ])(
+    'recycles a worker whose %s exceeds the limit',
+    async (_name, limits, metrics, renderTime) => {
+      const { browser, recycled } = await runExports(
+        limits,
+        metrics,
+        renderTime
+      );
+
+      // The second export is done by a new worker
+      expect(recycled).toBe(1);
+      expect(browser.pages).toHaveLength(2);
+    }
+  );
+
+  it('does not measure nor recycle the workers with the limits of 0', async () => {
+    const { browser, recycled } = await runExports(
+      { maxHeapSize: 0, maxDomNodes: 0, maxRenderTime: 0 },
+      { JSHeapUsedSize: 200 * 1024 * 1024, Nodes: 5000 },
+      10
+    );
+
+    expect(browser.measured).toBe(0);
+    expect(recycled).toBe(0);
+    expect(browser.pages).toHaveLength(1);
+  });
+});
@@ -0,0 +1,53 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { getOptions, setOptions } from '../../lib/config';
+import { envs } from '../../lib/envs';
+import { addInstance, removeInstance, runInInstance } from '../../lib/instance';
+import { reloadOptions } from '../../lib/reload';
+
+describe('reloadOptions', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'export-server-config-'));
+  const file = join(dir, 'config.json');
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('applies the live changes and rejects the rest', async () => {
+    const instance = addInstance();
+
+    await runInInstance(instance, async () => {
+      writeFileSync(
+        file,
+        JSON.stringify({ export: { type: 'jpeg' }, server: { port: 7802 } })
+      );
+      setOptions(null, ['--loadConfig', file]);
+
+      writeFileSync(
+        file,
+        JSON.stringify({
+          export: { type: 'svg', scale: 2 },
+          server: { port: 7803 }
+        })
+      );
+      expect(await reloadOptions()).toEqual({
+        applied: ['export.type', 'export.scale'],
+        rejected: ['server.port']
+      });
+      expect(getOptions().export).toMatchObject({ type: 'svg', scale: 2 });
+      expect(getOptions().server.port).toBe(7802);
+
+      // An invalid file changes nothing, neither the options nor the envs
+      envs.HIGHCHARTS_ADMIN_TOKEN = 'token';
+      writeFileSync(file, '{ "export": ');
+      await expect(reloadOptions()).rejects.toThrow('Could not reload');
+      expect(getOptions().export.type).toBe('svg');
+      expect(envs.HIGHCHARTS_ADMIN_TOKEN).toBe('token');
+      delete envs.HIGHCHARTS_ADMIN_TOKEN;
+    });
+
+    removeInstance(instance);
+  });
+});
@@ -0,0 +1,136 @@
+import { existsSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { setLogLevel } from '../../lib/logger';
+import {
+  getResult,
+  getResultCacheStats,
+  getResultKey,
+  initResultCache,
+  setResult
+} from '../../lib/result_cache';
+
+const cacheOptions = {
+  enable: true,
+  ttl: 3600,
+  maxItems: 2,
+  maxSize: 1,
+  diskPath: false,
+  diskMaxSize: 1
+};
+
+const waitFor = async (condition) => {
+  for (let i = 0; i < 50 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+describe('getResultKey', () => {
+  const options = {
+    export: { type: 'png', width: 600, scale: 1, outfile: 'a.png' },
+    customLogic: { callback: false, allowCodeExecution: false }
+  };
+
+  it('does not depend on the order of keys and unrelated options', () => {
+    const key = getResultKey(
+      { chart: { type: 'line' }, series: [] },
+      options,
+      '11.4.8'
+    );
+
+    expect(key).toMatch(/^[\w-]{43}$/);
+    expect(
+      getResultKey(
+        { series: [], chart: { type: 'line' } },
+        {
+          export: { ...options.export, outfile: 'b.png' },
+          customLogic: { ...options.customLogic, allowCodeExecution: true }
+        },
+        '11.4.8'
+      )
+    ).toBe(key);
+  });
+
+  it('depends on the output options and the Highcharts version', () => {
+    const key = getResultKey({ series: [] }, options, '11.4.8');
+
+    expect(
+      getResultKey(
+        { series: [] },
+        { ...options, export: { ...options.export, type: 'jpeg' } },
+        '11.4.8'
+      )
+    ).not.toBe(key);
+    expect(getResultKey({ series: [] }, options, '10.3.3')).not.toBe(key);
+  });
+});
+
+describe('result cache', () => {
+  let tempPath;
+
+  beforeAll(() => {
+    setLogLevel(0);
+  });
+
+  beforeEach(() => {
+    tempPath = mkdtempSync(join(tmpdir(), 'result-cache-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempPath, { recursive: true, force: true });
+  });
+
+  it('does nothing when disabled', async () => {
+    initResultCache({ ...cacheOptions, enable: false });
+
+    setResult('a', 'result');
+    expect(await getResult('a')).toBeUndefined();
+    expect(getResultCacheStats().memory.items).toBe(0);
+  });
+
+  it('removes the least recently used results', async () => {
+    initResultCache(cacheOptions);
+
+    setResult('a', 'result a');
+    setResult('b', 'result b');
+    expect(await getResult('a')).toBe('result a');
+
+    setResult('c', 'result c');
+    expect(await getResult('b')).toBeUndefined();
+    expect(await getResult('a')).toBe('result a');
+    expect(await getResult('c')).toBe('result c');
+
+    const stats = getResultCacheStats();
+    expect(stats.hits).toBeGreaterThanOrEqual(3);
+    expect(stats.memory).toEqual({ items: 2, size: 16 });
+  });
+
+  it('does not serve the expired results', async () => {
+    initResultCache(cacheOptions);
+
+    setResult('a', 'result a');
+
+    const now = Date.now;
+    try {
+      Date.now = () => now() + 3601 * 1000;
+      expect(await getResult('a')).toBeUndefined();
+    } finally {
+      Date.now = now;
+    }
+  });
+
+  it('keeps the results on the disk between the initializations', async () => {
+    const key = getResultKey({ series: [] }, { export: {} }, '11.4.8');
+    initResultCache({ ...cacheOptions, diskPath: tempPath });
+
+    setResult(key, 'result');
+    await waitFor(() => getResultCacheStats().disk.items === 1);
+    expect(existsSync(join(tempPath, key))).toBe(true);
+
+    initResultCache({ ...cacheOptions, diskPath: tempPath });
+    expect(getResultCacheStats().memory.items).toBe(0);
+    expect(await getResult(key)).toBe('result');
+    expect(getResultCacheStats().memory.items).toBe(1);
+  });
+});
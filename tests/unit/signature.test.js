@@ -0,0 +1,29 @@
+import {
+  createSignature,
+  getCanonicalQuery
+} from '../../lib/server/routes/export';
+
+describe('GET export signatures', () => {
+  it('creates the canonical query regardless of the parameters order', () => {
+    expect(getCanonicalQuery({ type: 'png', options: '{}', sig: 'abc' })).toBe(
+      'options=%7B%7D&type=png'
+    );
+    expect(getCanonicalQuery({ options: '{}', type: 'png' })).toBe(
+      'options=%7B%7D&type=png'
+    );
+  });
+
+  it('signs the query with the key', () => {
+    const query = { type: 'png', options: '{}' };
+    const signature = createSignature(query, 'key');
+
+    expect(signature).toMatch(/^[\w-]+$/);
+    expect(createSignature({ ...query, sig: signature }, 'key')).toBe(
+      signature
+    );
+    expect(createSignature(query, 'another-key')).not.toBe(signature);
+    expect(createSignature({ ...query, width: '400' }, 'key')).not.toBe(
+      signature
+    );
+  });
+});
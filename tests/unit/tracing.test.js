@@ -0,0 +1,68 @@
+import { EventEmitter } from 'events';
+
+import { context, propagation, trace } from '@opentelemetry/api';
+import {
+  InMemorySpanExporter,
+  NodeTracerProvider,
+  SimpleSpanProcessor
+} from '@opentelemetry/sdk-trace-node';
+
+import { traceRequest, withSpan } from '../../lib/tracing';
+
+describe('withSpan', () => {
+  it('only runs the function when the tracing is disabled', async () => {
+    await expect(withSpan('export.options', async () => 42)).resolves.toBe(42);
+    await expect(
+      withSpan('export.options', async () => {
+        throw new Error('Failed.');
+      })
+    ).rejects.toThrow('Failed.');
+  });
+});
+
+describe('traceRequest', () => {
+  const exporter = new InMemorySpanExporter();
+  const provider = new NodeTracerProvider({
+    spanProcessors: [new SimpleSpanProcessor(exporter)]
+  });
+
+  beforeAll(() => {
+    provider.register();
+  });
+
+  afterAll(async () => {
+    await provider.shutdown();
+    trace.disable();
+    context.disable();
+    propagation.disable();
+  });
+
+  it('continues the trace of the traceparent header', async () => {
+    const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+    const parentId = '00f067aa0ba902b7';
+    const request = {
+      method: 'POST',
+      path: '/',
+      baseUrl: '',
+      headers: { traceparent: `00-${traceId}-${parentId}-01` }
+    };
+    const response = Object.assign(new EventEmitter(), { statusCode: 200 });
+
+    await new Promise((resolve) => {
+      traceRequest(request, response, () =>
+        withSpan('export.options', async () => {}).then(resolve)
+      );
+    });
+    request.route = { path: '/' };
+    response.emit('close');
+
+    const [child, server] = exporter.getFinishedSpans();
+    expect(server.name).toBe('POST /');
+    expect(server.spanContext().traceId).toBe(traceId);
+    expect(server.parentSpanId).toBe(parentId);
+    expect(server.attributes['http.response.status_code']).toBe(200);
+    expect(child.name).toBe('export.options');
+    expect(child.spanContext().traceId).toBe(traceId);
+    expect(child.parentSpanId).toBe(server.spanContext().spanId);
+  });
+});
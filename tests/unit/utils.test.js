@@ -25,6 +25,17 @@ describe('fixType', () => {
   it('returns the original type if no outfile is provided', () => {
     expect(fixType('pdf')).toBe('pdf');
   });
+
+  it('supports the WebP and AVIF formats', () => {
+    expect(fixType('image/webp')).toBe('webp');
+    expect(fixType('image/avif')).toBe('avif');
+    expect(fixType('png', 'output.webp')).toBe('webp');
+    expect(fixType('png', 'output.avif')).toBe('avif');
+  });
+
+  it('falls back to PNG for unknown types', () => {
+    expect(fixType('gif')).toBe('png');
+  });
 });
 
 describe('roundNumber', () => {